@@ -0,0 +1,307 @@
+// Konum alma: doğrulama ve kayıt. Web (/api/save-location), mobil (/api/mobile/location)
+// ve arka plan (/api/background-location) endpoint'leri aynı doğrulamayı ve kaydı kullanır.
+
+// Tek istekte gönderilebilecek en fazla konum sayısı (Service Worker kuyruğu)
+const MAX_LOCATION_BATCH = 100;
+// İstemci saatinin sunucudan ileride olabileceği en fazla süre (ms)
+const MAX_CLIENT_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Konum alanlarının türü ve geçerli aralıkları. required olmayan alanlar boş bırakılabilir.
+const LOCATION_SCHEMA = {
+  latitude: { type: 'number', required: true, min: -90, max: 90 },
+  longitude: { type: 'number', required: true, min: -180, max: 180 },
+  accuracy: { type: 'number', required: true, min: 0, max: 10000 },
+  speed: { type: 'number', min: 0, max: 500 },
+  heading: { type: 'number', min: 0, max: 360 },
+  altitude: { type: 'number', min: -1000, max: 20000 },
+  batteryLevel: { type: 'number', min: 0, max: 100 },
+  networkType: { type: 'string', maxLength: 32 },
+  userAgent: { type: 'string', maxLength: 512 }
+};
+
+// Uçtan uca şifreli linklerde istemcinin şifrelediği alanlar; bu linklerde sunucuya açık
+// gönderilemez, yerine şifreli metin (ciphertext, base64url) gelir
+const E2E_ENCRYPTED_FIELDS = ['latitude', 'longitude', 'accuracy', 'speed', 'heading', 'altitude'];
+const MAX_E2E_CIPHERTEXT_LENGTH = 4096;
+
+// İstemcinin konumu aldığı zaman: epoch milisaniye veya ISO tarih
+function parseClientTimestamp(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const date = typeof value === 'number' ? new Date(value) : new Date(String(value));
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Tek konumu şemaya göre doğrula. requireTimestamp ile clientTimestamp zorunludur;
+// tekrar gönderilen konumlar yalnızca bu zamanla ayırt edilebilir.
+// { location } veya { error: { code, message, field } } döner
+function validateLocationPoint(point, { requireTimestamp = false } = {}) {
+  if (!point || typeof point !== 'object' || Array.isArray(point)) {
+    return { error: { code: 'INVALID_LOCATION', message: 'Konum bir nesne olmalı' } };
+  }
+
+  const encrypted = point.ciphertext !== undefined && point.ciphertext !== null;
+  if (encrypted) {
+    if (typeof point.ciphertext !== 'string' || point.ciphertext.length > MAX_E2E_CIPHERTEXT_LENGTH ||
+      !/^[A-Za-z0-9_-]+$/.test(point.ciphertext)) {
+      return { error: { code: 'INVALID_LOCATION', message: 'Geçersiz şifreli konum', field: 'ciphertext' } };
+    }
+    const plainField = E2E_ENCRYPTED_FIELDS.find(field => point[field] !== undefined && point[field] !== null);
+    if (plainField) {
+      return {
+        error: { code: 'INVALID_LOCATION', message: `Şifreli konumla açık konum verisi gönderilemez: ${plainField}`, field: plainField }
+      };
+    }
+  }
+
+  const location = { ciphertext: encrypted ? point.ciphertext : null };
+  for (const [field, rule] of Object.entries(LOCATION_SCHEMA)) {
+    const value = point[field];
+    if (encrypted && E2E_ENCRYPTED_FIELDS.includes(field)) {
+      location[field] = null;
+      continue;
+    }
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        return { error: { code: 'INVALID_LOCATION', message: `Eksik konum verisi: ${field}`, field } };
+      }
+      location[field] = null;
+      continue;
+    }
+    const valid = rule.type === 'number'
+      ? typeof value === 'number' && Number.isFinite(value) && value >= rule.min && value <= rule.max
+      : typeof value === 'string' && value.length <= rule.maxLength;
+    if (!valid) {
+      return { error: { code: 'INVALID_LOCATION', message: `Geçersiz konum verisi: ${field}`, field } };
+    }
+    location[field] = value;
+  }
+
+  const recordedAt = parseClientTimestamp(point.clientTimestamp);
+  if (recordedAt === null && requireTimestamp) {
+    return { error: { code: 'INVALID_TIMESTAMP', message: 'Kuyruktan gönderilen konumda clientTimestamp zorunlu', field: 'clientTimestamp' } };
+  }
+  if (recordedAt === undefined || (recordedAt && recordedAt.getTime() > Date.now() + MAX_CLIENT_CLOCK_SKEW)) {
+    return { error: { code: 'INVALID_TIMESTAMP', message: 'Geçersiz konum zamanı', field: 'clientTimestamp' } };
+  }
+  location.recordedAt = recordedAt;
+  return { location };
+}
+
+// Konum isteğini doğrula. Tek konum (gövdede alanlar) veya Service Worker
+// kuyruğundan toplu gönderim ({ locations: [...] }) kabul edilir. Tek konum
+// geçersizse istek reddedilir; toplu gönderimde geçersiz konumlar rejected
+// listesine yazılır, geçerli olanlar kaydedilir. Toplu gönderim kuyruktan tekrar
+// denenebildiği için her konumda clientTimestamp zorunludur. Sonuç req.locationBatch'e yüklenir.
+const validateLocationData = (req, res, next) => {
+  const { locations } = req.body;
+  const batch = { isBatch: locations !== undefined, locations: [], rejected: [] };
+
+  if (!batch.isBatch) {
+    const { location, error } = validateLocationPoint(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.message, code: error.code, field: error.field });
+    }
+    batch.locations.push({ index: 0, ...location });
+    req.locationBatch = batch;
+    return next();
+  }
+
+  if (!Array.isArray(locations) || locations.length === 0 || locations.length > MAX_LOCATION_BATCH) {
+    return res.status(400).json({
+      error: `locations 1 ile ${MAX_LOCATION_BATCH} arasında konum içeren bir liste olmalı`,
+      code: 'INVALID_BATCH'
+    });
+  }
+
+  locations.forEach((point, index) => {
+    const { location, error } = validateLocationPoint(point, { requireTimestamp: true });
+    if (error) {
+      batch.rejected.push({ index, code: error.code, error: error.message, field: error.field });
+    } else {
+      batch.locations.push({ index, ...location });
+    }
+  });
+  req.locationBatch = batch;
+  next();
+};
+
+// Kayıt transaction'ı sırasında session'ın artık olmadığını belirtir
+const SESSION_GONE = new Error('Session bulunamadı');
+
+// Kayıt için gereken bağımlılıkları alıp ingestLocations(req, res, successMessage) döndürür.
+// onLocationsSaved(session, locations) kayıt commit edildikten sonra, konumlar
+// alınma sırasıyla (recordedAt dolu) çağrılır.
+function createLocationIngestor({ db, runTransaction, encryptLocationFields, toSqliteDate, fromSqliteDate, onLocationsSaved }) {
+  // Doğrulanmış konumları kaydet. Tüm konum endpoint'leri validateLocationData,
+  // ingestionGuard ve applyCollectionProfile'dan sonra bunu çağırır.
+  // Session başlamadan önceki zamana ait konumlar reddedilir. Aynı session'da aynı
+  // istemci zamanına sahip konum (tekrar gönderilen kuyruk) bir kez kaydedilir.
+  // Konumlar ve session sayacı tek transaction'da yazılır.
+  function ingestLocations(req, res, successMessage) {
+    const session = req.trackingSession;
+    const batch = req.locationBatch;
+    const sessionStart = fromSqliteDate(session.started_at).getTime() - MAX_CLIENT_CLOCK_SKEW;
+
+    const locations = [];
+    batch.locations.forEach(location => {
+      // Uçtan uca şifreli linkler yalnızca şifreli, diğer linkler yalnızca açık konum kabul eder
+      if (session.link_e2e && !location.ciphertext) {
+        batch.rejected.push({
+          index: location.index,
+          code: 'E2E_REQUIRED',
+          error: 'Bu link uçtan uca şifreli; konum şifrelenmeden gönderilemez',
+          field: 'ciphertext'
+        });
+      } else if (!session.link_e2e && location.ciphertext) {
+        batch.rejected.push({
+          index: location.index,
+          code: 'INVALID_LOCATION',
+          error: 'Bu link şifreli konum kabul etmiyor',
+          field: 'ciphertext'
+        });
+      } else if (location.recordedAt && location.recordedAt.getTime() < sessionStart) {
+        batch.rejected.push({
+          index: location.index,
+          code: 'INVALID_TIMESTAMP',
+          error: 'Konum zamanı session başlangıcından önce',
+          field: 'clientTimestamp'
+        });
+      } else {
+        locations.push(location);
+      }
+    });
+
+    if (!batch.isBatch && batch.rejected.length > 0) {
+      const { error, code, field } = batch.rejected[0];
+      res.status(400).json({ error, code, field });
+      return;
+    }
+
+    const clientTimestamps = locations
+      .filter(location => location.recordedAt)
+      .map(location => location.recordedAt.getTime());
+    const placeholders = clientTimestamps.map(() => '?').join(', ');
+
+    db.all(`SELECT client_timestamp FROM location_data WHERE session_id = ? AND client_timestamp IN (${placeholders})`,
+      [session.id, ...clientTimestamps],
+      (err, existingRows) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        // Daha önce kaydedilmiş ve aynı istekte tekrarlanan istemci zamanlarını ele
+        const seen = new Set(existingRows.map(row => row.client_timestamp));
+        const newLocations = locations.filter(location => {
+          if (!location.recordedAt) {
+            return true;
+          }
+          const clientTimestamp = location.recordedAt.getTime();
+          if (seen.has(clientTimestamp)) {
+            return false;
+          }
+          seen.add(clientTimestamp);
+          return true;
+        });
+        const duplicates = locations.length - newLocations.length;
+
+        const respond = () => {
+          if (!batch.isBatch) {
+            res.json({ success: true, message: successMessage, duplicate: duplicates > 0 });
+            return;
+          }
+          res.json({
+            success: true,
+            message: successMessage,
+            accepted: newLocations.length,
+            duplicates,
+            rejected: batch.rejected
+          });
+        };
+
+        if (newLocations.length === 0) {
+          respond();
+          return;
+        }
+
+        const now = new Date();
+        const rows = newLocations.map(location => {
+          const encrypted = encryptLocationFields(session.tracking_id, session.link_key_version, {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            ip_address: location.ipAddress,
+            user_agent: location.userAgent
+          });
+          return [
+            session.tracking_id, encrypted.latitude, encrypted.longitude, location.accuracy,
+            location.speed, location.heading, location.altitude,
+            toSqliteDate(location.recordedAt || now), location.recordedAt ? location.recordedAt.getTime() : null,
+            encrypted.user_agent, encrypted.ip_address, location.batteryLevel, location.networkType,
+            session.id, 1, req.consent.id, encrypted.key_id, location.ciphertext
+          ];
+        });
+
+        runTransaction((tx, done) => {
+          // Session, doğrulamadan sonra silinmiş olabilir (kalıcı silme, imha); sahipsiz konum yazılmaz
+          tx.get('SELECT id FROM tracking_sessions WHERE id = ?', [session.id], (err, current) => {
+            if (err || !current) {
+              done(err || SESSION_GONE);
+              return;
+            }
+            // Eşzamanlı aynı kuyruk gönderimi için benzersiz indeks son güvencedir
+            tx.run(`INSERT OR IGNORE INTO location_data
+              (tracking_id, latitude, longitude, accuracy, speed, heading, altitude, timestamp, client_timestamp,
+                user_agent, ip_address, battery_level, network_type, session_id, consent_given, consent_id, key_id, ciphertext)
+              VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+              rows.flat(),
+              (err) => {
+                if (err) {
+                  done(err);
+                  return;
+                }
+                tx.run(`UPDATE tracking_sessions
+                  SET last_update = CURRENT_TIMESTAMP,
+                    total_locations = (SELECT COUNT(*) FROM location_data WHERE session_id = ?)
+                  WHERE id = ?`,
+                  [session.id, session.id],
+                  done
+                );
+              }
+            );
+          });
+        }, (err) => {
+          if (err === SESSION_GONE) {
+            res.status(404).json({ error: 'Session bulunamadı', code: 'SESSION_NOT_FOUND' });
+            return;
+          }
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          // Kaydedilenleri alınma sırasıyla yayınla (kuyruktan gelenler sırasız gelebilir)
+          onLocationsSaved(session, newLocations
+            .map(location => ({ ...location, recordedAt: location.recordedAt || now }))
+            .sort((first, second) => first.recordedAt - second.recordedAt));
+
+          respond();
+        });
+      }
+    );
+  }
+
+  return ingestLocations;
+}
+
+module.exports = {
+  MAX_LOCATION_BATCH,
+  MAX_CLIENT_CLOCK_SKEW,
+  LOCATION_SCHEMA,
+  E2E_ENCRYPTED_FIELDS,
+  parseClientTimestamp,
+  validateLocationPoint,
+  validateLocationData,
+  createLocationIngestor
+};
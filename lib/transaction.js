@@ -0,0 +1,70 @@
+const sqlite3 = require('sqlite3');
+
+// Veritabanı kilitliyse bir komutun bekleyeceği en uzun süre (ms)
+const BUSY_TIMEOUT = 5000;
+
+// Çok adımlı yazmalar ayrı bir bağlantıda ve sırayla çalışır. Paylaşılan bağlantıda BEGIN ile
+// COMMIT arasına diğer isteklerin komutları girer: ROLLBACK onları da geri alır, başka bir
+// BEGIN ise "cannot start a transaction within a transaction" ile düşer. Ayrı bağlantıda
+// transaction yalnızca kendi komutlarını içerir; diğer bağlantı kilit açılana kadar bekler.
+//
+// runTransaction(work, callback): work(connection, done) adımları connection üzerinde
+// çalıştırır ve done(err, result) çağırır. Hata varsa ROLLBACK, yoksa COMMIT yapılır;
+// sonuç callback(err, result) ile döner.
+function createTransactionRunner(filename) {
+  const connection = new sqlite3.Database(filename);
+  connection.configure('busyTimeout', BUSY_TIMEOUT);
+
+  const queue = [];
+  let running = false;
+
+  const runNext = () => {
+    if (running || queue.length === 0) {
+      return;
+    }
+    running = true;
+    const { work, callback } = queue.shift();
+
+    const finish = (err, result) => {
+      running = false;
+      callback(err, result);
+      runNext();
+    };
+    const rollback = (err) => {
+      connection.run('ROLLBACK', () => finish(err));
+    };
+
+    connection.run('BEGIN IMMEDIATE', (err) => {
+      if (err) {
+        finish(err);
+        return;
+      }
+      try {
+        work(connection, (err, result) => {
+          if (err) {
+            rollback(err);
+            return;
+          }
+          connection.run('COMMIT', (err) => {
+            if (err) {
+              rollback(err);
+              return;
+            }
+            finish(null, result);
+          });
+        });
+      } catch (error) {
+        rollback(error);
+      }
+    });
+  };
+
+  const runTransaction = (work, callback = () => {}) => {
+    queue.push({ work, callback });
+    runNext();
+  };
+
+  return { runTransaction, connection };
+}
+
+module.exports = { createTransactionRunner, BUSY_TIMEOUT };
@@ -0,0 +1,84 @@
+// Uçtan uca şifreli linkler için konum şifreleme (AES-256-GCM, WebCrypto)
+// Anahtar yalnızca link URL'inin fragment kısmında (#key=...) taşınır; tarayıcı fragment'ı
+// sunucuya göndermez. Sunucu konumları yalnızca şifreli metin olarak saklar ve iletir.
+// Takip sayfası, Service Worker (importScripts) ve yönetim paneli tarafından ortak kullanılır.
+/* exported generateE2EKey, getE2EKeyFromHash, withE2EKey, decryptLocationPayload, toEncryptedLocation */
+const E2E_ENCRYPTED_FIELDS = ['latitude', 'longitude', 'accuracy', 'speed', 'heading', 'altitude'];
+const e2eKeyCache = new Map();
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// Yeni link anahtarı (base64url, 32 bayt)
+function generateE2EKey() {
+    return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function importE2EKey(key) {
+    if (!e2eKeyCache.has(key)) {
+        e2eKeyCache.set(key, crypto.subtle.importKey('raw', base64UrlToBytes(key), 'AES-GCM', false, ['encrypt', 'decrypt']));
+    }
+    return e2eKeyCache.get(key);
+}
+
+// URL fragment'ındaki anahtar (#key=...); yoksa null
+function getE2EKeyFromHash(hash) {
+    return new URLSearchParams(hash.replace(/^#/, '')).get('key');
+}
+
+// Link URL'ine anahtarı fragment olarak ekle
+function withE2EKey(url, key) {
+    return key ? `${url.split('#')[0]}#key=${key}` : url;
+}
+
+// Konum alanlarını şifrele; "<iv><şifreli metin>" base64url döner. Link kimliği ek doğrulama
+// verisidir: bir linkin şifreli konumu başka bir linke kaydedilirse çözülemez.
+async function encryptLocationPayload(key, trackingId, location) {
+    const payload = {};
+    E2E_ENCRYPTED_FIELDS.forEach((field) => {
+        payload[field] = location[field] === undefined ? null : location[field];
+    });
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(trackingId) },
+        await importE2EKey(key),
+        new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    const bytes = new Uint8Array(iv.length + encrypted.byteLength);
+    bytes.set(iv);
+    bytes.set(new Uint8Array(encrypted), iv.length);
+    return bytesToBase64Url(bytes);
+}
+
+// Şifreli konumu çöz; { latitude, longitude, accuracy, speed, heading, altitude } döner
+async function decryptLocationPayload(key, trackingId, ciphertext) {
+    const bytes = base64UrlToBytes(ciphertext);
+    const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: bytes.slice(0, 12), additionalData: new TextEncoder().encode(trackingId) },
+        await importE2EKey(key),
+        bytes.slice(12)
+    );
+    return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+// Konum verisinden açık alanları çıkarıp yerine şifreli metni koy (sunucuya gönderilecek biçim)
+async function toEncryptedLocation(key, trackingId, location) {
+    const encrypted = { ...location, ciphertext: await encryptLocationPayload(key, trackingId, location) };
+    E2E_ENCRYPTED_FIELDS.forEach((field) => {
+        delete encrypted[field];
+    });
+    return encrypted;
+}
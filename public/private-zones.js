@@ -0,0 +1,69 @@
+// Paylaşan kişinin tanımladığı özel bölgeler (ev, klinik vb.)
+// Bölgeler yalnızca tarayıcının IndexedDB'sinde tutulur ve sunucuya hiç gönderilmez.
+// Takip sayfası (<script>) ve Service Worker (importScripts) tarafından ortak kullanılır.
+/* exported getPrivateZones, addPrivateZone, deletePrivateZone, findPrivateZone */
+const PRIVATE_ZONES_DB = 'PrivateZonesDB';
+const PRIVATE_ZONES_STORE = 'private-zones';
+
+function openPrivateZonesDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(PRIVATE_ZONES_DB, 1);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+
+            if (!db.objectStoreNames.contains(PRIVATE_ZONES_STORE)) {
+                db.createObjectStore(PRIVATE_ZONES_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+    });
+}
+
+function privateZonesRequest(mode, operation) {
+    return openPrivateZonesDB().then((db) => new Promise((resolve, reject) => {
+        const tx = db.transaction([PRIVATE_ZONES_STORE], mode);
+        const request = operation(tx.objectStore(PRIVATE_ZONES_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+// Tüm özel bölgeleri getir
+async function getPrivateZones() {
+    try {
+        return await privateZonesRequest('readonly', (store) => store.getAll());
+    } catch (error) {
+        console.error('Özel bölgeler alınamadı:', error);
+        return [];
+    }
+}
+
+// Yeni özel bölge ekle; zone: { name, latitude, longitude, radius (metre) }
+function addPrivateZone(zone) {
+    return privateZonesRequest('readwrite', (store) => store.add({ ...zone, createdAt: Date.now() }));
+}
+
+function deletePrivateZone(id) {
+    return privateZonesRequest('readwrite', (store) => store.delete(id));
+}
+
+// İki nokta arasındaki mesafe (metre)
+function distanceInMeters(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Konum bir özel bölgenin içindeyse o bölgeyi, değilse null döndür
+function findPrivateZone(zones, latitude, longitude) {
+    return zones.find((zone) =>
+        distanceInMeters(latitude, longitude, zone.latitude, zone.longitude) <= zone.radius
+    ) || null;
+}
@@ -1,16 +1,60 @@
 // Service Worker - Arka plan konum takibi
+// Paylaşan kişinin cihazında tutulan özel bölgeler
+importScripts('/private-zones.js');
+// Uçtan uca şifreli linklerde kuyruktaki konumlar gönderilmeden önce şifrelenir
+importScripts('/e2e-crypto.js');
+/* global getPrivateZones, findPrivateZone, withE2EKey, toEncryptedLocation */
+
+// Yapılandırılmış log. Konum, token ve istek gövdeleri yazılmaz; hatalardan yalnızca mesaj
+// alınır. Ayrıntılı (debug) kayıtlar yalnızca geliştirme sunucusunda (localhost) açılır.
+const SW_DEBUG = ['localhost', '127.0.0.1'].includes(self.location.hostname);
+
+function swLog(level, message, fields = {}) {
+    if (level === 'debug' && !SW_DEBUG) {
+        return;
+    }
+    const entry = { at: new Date().toISOString(), level, message };
+    Object.keys(fields).forEach((key) => {
+        entry[key] = fields[key] instanceof Error ? fields[key].message : fields[key];
+    });
+    console[level === 'debug' ? 'debug' : level](entry);
+}
+
 const CACHE_NAME = 'location-tracker-v1';
 const LOCATION_CACHE = 'location-data';
+// Durdurulan veya geri çekilen session'lar - bu session'ların konumları gönderilmez
+const ENDED_SESSIONS = 'ended-sessions';
+// Süren paylaşımın bilgileri (kime, ne zamana kadar) - kalıcı bildirim için
+const ACTIVE_SHARING = 'active-sharing';
+const SHARING_NOTIFICATION_TAG = 'sharing-active';
+const RECONSENT_NOTIFICATION_TAG = 'reconsent';
+// Sunucunun tek istekte kabul ettiği en fazla konum sayısı
+const MAX_LOCATION_BATCH = 100;
+
+// Sunucunun kalıcı olarak reddettiği konumlar (rıza yok, session sonlanmış vb.)
+// tekrar denenmez, kuyruktan silinir
+const REJECTION_CODES = [
+    'SESSION_REQUIRED',
+    'SESSION_NOT_FOUND',
+    'SESSION_LINK_MISMATCH',
+    'LINK_INACTIVE',
+    'SESSION_INACTIVE',
+    'SESSION_EXPIRED',
+    'SESSION_REVOKED',
+    'CONSENT_MISSING'
+];
 
 // Service Worker kurulumu
 self.addEventListener('install', (event) => {
-    console.log('Service Worker kuruluyor...');
+    swLog('info', 'Service Worker kuruluyor');
     event.waitUntil(
         caches.open(CACHE_NAME).then((cache) => {
             return cache.addAll([
                 '/',
                 '/track.html',
-                '/admin.html'
+                '/admin.html',
+                '/private-zones.js',
+                '/e2e-crypto.js'
             ]);
         })
     );
@@ -18,7 +62,7 @@ self.addEventListener('install', (event) => {
 
 // Service Worker aktifleştirme
 self.addEventListener('activate', (event) => {
-    console.log('Service Worker aktifleştirildi');
+    swLog('info', 'Service Worker aktifleştirildi');
     event.waitUntil(
         caches.keys().then((cacheNames) => {
             return Promise.all(
@@ -34,7 +78,7 @@ self.addEventListener('activate', (event) => {
 
 // Background Sync olayını dinle
 self.addEventListener('sync', (event) => {
-    console.log('Background Sync tetiklendi:', event.tag);
+    swLog('debug', 'Background Sync tetiklendi', { tag: event.tag });
     
     if (event.tag === 'location-sync') {
         event.waitUntil(handleLocationSync());
@@ -46,39 +90,319 @@ async function handleLocationSync() {
     try {
         // IndexedDB'den kaydedilen konumları al
         const locations = await getStoredLocations();
+        const endedSessions = await getEndedSessions();
+        const privateZones = await getPrivateZones();
+        const sharing = await getActiveSharing();
         
         if (locations.length > 0) {
-            console.log(`${locations.length} konum verisi gönderiliyor...`);
+            swLog('info', 'Kuyruktaki konumlar gönderiliyor', { count: locations.length });
             
-            // Her konumu sunucuya gönder
+            // Gönderilecek konumları session'a göre grupla. Kuyruğa alındıktan sonra
+            // eklenen özel bölgelerin içindeki ve sonlanmış session'ların konumları
+            // gönderilmeden silinir.
+            const batches = new Map();
             for (const location of locations) {
-                await sendLocationToServer(location);
+                // Paylaşan kişinin duraklattığı session'ın konumları devam edene kadar kuyrukta bekler
+                if (sharing && sharing.sessionId === location.sessionId && isSharingPaused(sharing)) {
+                    continue;
+                }
+                if (findPrivateZone(privateZones, location.latitude, location.longitude)) {
+                    swLog('debug', 'Özel bölgedeki konum gönderilmedi');
+                    await deleteStoredLocation(location.timestamp);
+                } else if (endedSessions.has(location.sessionId)) {
+                    await deleteStoredLocation(location.timestamp);
+                } else {
+                    if (!batches.has(location.sessionId)) {
+                        batches.set(location.sessionId, []);
+                    }
+                    batches.get(location.sessionId).push(location);
+                }
             }
             
-            // Gönderilen konumları temizle
-            await clearStoredLocations();
-            console.log('Konum verileri başarıyla gönderildi');
+            // Her session'ın konumları MAX_LOCATION_BATCH'lik parçalar halinde tek istekte
+            // gönderilir. Kaydedilen, tekrar olan veya tek tek reddedilen konumlar kuyruktan silinir.
+            for (const [sessionId, sessionLocations] of batches) {
+                for (let i = 0; i < sessionLocations.length; i += MAX_LOCATION_BATCH) {
+                    const chunk = sessionLocations.slice(i, i + MAX_LOCATION_BATCH);
+                    let sessionEnded = false;
+                    try {
+                        const result = await sendLocationBatchToServer(chunk);
+                        if (result.rejected.length > 0) {
+                            swLog('warn', 'Konumlar sunucu tarafından reddedildi', { count: result.rejected.length });
+                        }
+                    } catch (error) {
+                        if (error.code === 'SESSION_PAUSED') {
+                            // Sunucu paylaşımı duraklatmış (yerel kayıt güncel değil): konumlar devam
+                            // edilene kadar kuyrukta bekler, kayıt sunucudaki duruma göre güncellenir
+                            swLog('warn', 'Paylaşım duraklatılmış, konumlar kuyrukta bekletiliyor');
+                            await updateSharingPause(sessionId, true, error.pauseUntil || null, error.reason);
+                            break;
+                        } else if (error.code === 'INVALID_BATCH') {
+                            swLog('warn', 'Konum grubu sunucu tarafından reddedildi', { code: error.code });
+                        } else if (!error.permanent) {
+                            // Geçici hata: kalan konumlar bir sonraki senkronizasyonda denenecek
+                            throw error;
+                        } else {
+                            swLog('warn', 'Konumlar sunucu tarafından reddedildi, tekrar denenmeyecek', { code: error.code });
+                            await markSessionEnded(sessionId);
+                            sessionEnded = true;
+                        }
+                    }
+                    if (sessionEnded) {
+                        await deleteStoredLocations((location) => location.sessionId === sessionId);
+                        break;
+                    }
+                    for (const location of chunk) {
+                        await deleteStoredLocation(location.timestamp);
+                    }
+                }
+            }
+            
+            swLog('info', 'Konum verileri gönderildi');
+        }
+    } catch (error) {
+        swLog('error', 'Background Sync hatası', { error: error });
+    } finally {
+        await notifyPendingCount();
+    }
+}
+
+// Paylaşım bitti: session'ı sonlanmış olarak işaretle, kuyruğundaki konumları sil
+// ve kuyrukta gönderilecek konum kalmadıysa periyodik senkronizasyonu kaldır
+async function handleSessionEnded(sessionId) {
+    try {
+        await markSessionEnded(sessionId);
+        await clearActiveSharing(sessionId);
+        await deleteStoredLocations((location) => location.sessionId === sessionId);
+        
+        const remaining = await getStoredLocations();
+        if (remaining.length === 0) {
+            await unregisterSync();
+        }
+    } catch (error) {
+        swLog('error', 'Session sonlandırma hatası', { error: error });
+    } finally {
+        await notifyPendingCount();
+    }
+}
+
+// Link kalıcı olarak silindi: session'ları sonlanmış sayılır, kuyruktaki konumları silinir
+async function handleLinkDeleted(trackingId, sessionIds) {
+    try {
+        for (const sessionId of sessionIds) {
+            await markSessionEnded(sessionId);
+        }
+        const sharing = await getActiveSharing();
+        if (sharing && sharing.trackingId === trackingId) {
+            await clearActiveSharing(sharing.sessionId);
+        }
+        await deleteStoredLocations((location) =>
+            location.trackingId === trackingId || sessionIds.includes(location.sessionId)
+        );
+        
+        const remaining = await getStoredLocations();
+        if (remaining.length === 0) {
+            await unregisterSync();
         }
     } catch (error) {
-        console.error('Background Sync hatası:', error);
+        swLog('error', 'Silinen link temizlenemedi', { error: error });
+    } finally {
+        await notifyPendingCount();
+    }
+}
+
+// Takip sayfası linkin imzalı token'ı (ve şifreli linkte anahtarı) ile açılır
+function getTrackingPageUrl(sharing) {
+    const url = sharing.linkToken
+        ? `/track/${sharing.trackingId}?t=${encodeURIComponent(sharing.linkToken)}`
+        : `/track/${sharing.trackingId}`;
+    return withE2EKey(url, sharing.e2eKey);
+}
+
+// Paylaşım sürerken kapatılamayan bildirim göster
+async function showSharingNotification(sharing) {
+    if (Notification.permission !== 'granted') {
+        return;
     }
+    
+    const endsAt = new Date(sharing.expiresAt).toLocaleString('tr-TR', {
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    
+    const paused = isSharingPaused(sharing);
+    let body = `Konumunuzu ${sharing.requester} görüyor. Paylaşım en geç ${endsAt} tarihinde biter.`;
+    if (paused && sharing.pausedUntil) {
+        const resumesAt = new Date(sharing.pausedUntil).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+        body = `Konumunuz ${resumesAt} saatine kadar paylaşılmıyor. Paylaşım en geç ${endsAt} tarihinde biter.`;
+    } else if (paused) {
+        body = `Konumunuz siz devam ettirene kadar paylaşılmıyor. Paylaşım en geç ${endsAt} tarihinde biter.`;
+    }
+    
+    await self.registration.showNotification(paused ? 'Paylaşım duraklatıldı' : 'Konumunuz paylaşılıyor', {
+        body,
+        icon: '/icon.png',
+        badge: '/badge.png',
+        tag: SHARING_NOTIFICATION_TAG,
+        renotify: false,
+        requireInteraction: true,
+        data: sharing,
+        actions: [
+            {
+                action: 'stop-sharing',
+                title: 'Paylaşımı Durdur'
+            }
+        ]
+    });
+}
+
+// Paylaşım bildirimini kapat
+async function closeSharingNotification() {
+    await closeNotifications(SHARING_NOTIFICATION_TAG);
+    await closeNotifications(RECONSENT_NOTIFICATION_TAG);
+}
+
+async function closeNotifications(tag) {
+    const notifications = await self.registration.getNotifications({ tag });
+    notifications.forEach((notification) => notification.close());
+}
+
+// Paylaşıma devam edilip edilmeyeceğini bildirimle sor
+async function showReconsentNotification(sessionId, deadline, paused) {
+    const sharing = await getActiveSharing();
+    if (!sharing || sharing.sessionId !== sessionId || Notification.permission !== 'granted') {
+        return;
+    }
+    
+    // Son onay zamanı bilinmiyorsa saat gösterilmez
+    const until = deadline
+        ? ` ${new Date(deadline).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })} saatine kadar onaylamazsanız paylaşım duraklatılır.`
+        : '';
+    await self.registration.showNotification(paused ? 'Paylaşım duraklatıldı' : 'Paylaşıma devam edilsin mi?', {
+        body: paused
+            ? `Konumunuz ${sharing.requester} ile paylaşılmıyor. Devam etmek için onaylayın.`
+            : `Konumunuz hâlâ ${sharing.requester} ile paylaşılıyor.${until}`,
+        icon: '/icon.png',
+        badge: '/badge.png',
+        tag: RECONSENT_NOTIFICATION_TAG,
+        requireInteraction: true,
+        data: sharing,
+        actions: [
+            {
+                action: 'reconsent-continue',
+                title: 'Devam Et'
+            },
+            {
+                action: 'stop-sharing',
+                title: 'Paylaşımı Durdur'
+            }
+        ]
+    });
+}
+
+// Bildirimden paylaşıma devam etmeyi onayla
+async function confirmReconsentFromNotification(sharing) {
+    try {
+        const response = await fetch('/api/reconsent', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: sharing.revocationToken })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error);
+        }
+        
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windows.forEach((client) => {
+            client.postMessage({
+                type: 'RECONSENT_CONFIRMED',
+                sessionId: sharing.sessionId,
+                reconsentDueAt: result.reconsentDueAt
+            });
+        });
+        await resumeAfterReconsent(sharing.sessionId);
+    } catch (error) {
+        swLog('error', 'Yeniden onay gönderilemedi', { error: error });
+    }
+}
+
+// Bildirimden paylaşımı hemen durdur
+async function stopSharingFromNotification(sharing) {
+    try {
+        await fetch('/api/stop-session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: sharing.sessionId })
+        });
+    } catch (error) {
+        swLog('error', 'Paylaşım durdurulamadı', { error: error });
+    }
+    
+    // Sunucuya ulaşılamasa bile bu cihazdan artık konum gönderilmez
+    await handleSessionEnded(sharing.sessionId);
+    
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach((client) => {
+        client.postMessage({ type: 'SESSION_STOPPED', sessionId: sharing.sessionId });
+    });
+}
+
+// Periyodik senkronizasyonu kaldır. Tek seferlik Background Sync kayıtları
+// iptal edilemez; tetiklendiklerinde kuyruk boş olduğu için hiçbir şey gönderilmez.
+async function unregisterSync() {
+    if ('periodicSync' in self.registration) {
+        await self.registration.periodicSync.unregister('location-sync');
+        swLog('debug', 'Periyodik senkronizasyon kaldırıldı');
+    }
+}
+
+// Bekleyen konum sayısını açık sayfalara bildir
+async function notifyPendingCount() {
+    const locations = await getStoredLocations();
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    
+    windows.forEach((client) => {
+        client.postMessage({ type: 'PENDING_COUNT', count: locations.length });
+    });
 }
 
-// Konum verilerini IndexedDB'ye kaydet
+// Konum verilerini IndexedDB'ye kaydet (sonlanmış session'ların konumları kaydedilmez)
 async function storeLocation(locationData) {
     try {
+        const endedSessions = await getEndedSessions();
+        if (endedSessions.has(locationData.sessionId)) {
+            swLog('warn', 'Sonlanmış session için konum kuyruğa alınmadı');
+            return false;
+        }
+        
+        const sharing = await getActiveSharing();
+        if (sharing && sharing.sessionId === locationData.sessionId && isSharingPaused(sharing)) {
+            swLog('warn', 'Duraklatılmış paylaşım için konum kuyruğa alınmadı');
+            return false;
+        }
+        
         const db = await openDB();
         const tx = db.transaction([LOCATION_CACHE], 'readwrite');
         const store = tx.objectStore(LOCATION_CACHE);
         
-        await store.add({
+        // Konumun alındığı an gelmediyse kuyruğa alındığı an kullanılır
+        const timestamp = Date.now();
+        await promisifyRequest(store.add({
             ...locationData,
-            timestamp: Date.now()
-        });
+            clientTimestamp: locationData.clientTimestamp || timestamp,
+            timestamp
+        }));
         
-        console.log('Konum verisi kaydedildi:', locationData);
+        swLog('debug', 'Konum kuyruğa alındı');
+        return true;
     } catch (error) {
-        console.error('Konum kaydetme hatası:', error);
+        swLog('error', 'Konum kaydetme hatası', { error: error });
+        throw error;
+    } finally {
+        await notifyPendingCount();
     }
 }
 
@@ -89,9 +413,9 @@ async function getStoredLocations() {
         const tx = db.transaction([LOCATION_CACHE], 'readonly');
         const store = tx.objectStore(LOCATION_CACHE);
         
-        return await store.getAll();
+        return await promisifyRequest(store.getAll());
     } catch (error) {
-        console.error('Konum verileri alınamadı:', error);
+        swLog('error', 'Konum verileri alınamadı', { error: error });
         return [];
     }
 }
@@ -103,17 +427,144 @@ async function clearStoredLocations() {
         const tx = db.transaction([LOCATION_CACHE], 'readwrite');
         const store = tx.objectStore(LOCATION_CACHE);
         
-        await store.clear();
-        console.log('Konum verileri temizlendi');
+        await promisifyRequest(store.clear());
+        swLog('info', 'Konum kuyruğu temizlendi');
+    } catch (error) {
+        swLog('error', 'Konum verileri temizleme hatası', { error: error });
+    }
+}
+
+// IndexedDB'den tek bir konum verisini sil
+async function deleteStoredLocation(key) {
+    const db = await openDB();
+    const tx = db.transaction([LOCATION_CACHE], 'readwrite');
+    const store = tx.objectStore(LOCATION_CACHE);
+    
+    await promisifyRequest(store.delete(key));
+}
+
+// Koşula uyan konum verilerini IndexedDB'den sil
+async function deleteStoredLocations(predicate) {
+    const locations = await getStoredLocations();
+    
+    for (const location of locations) {
+        if (predicate(location)) {
+            await deleteStoredLocation(location.timestamp);
+        }
+    }
+}
+
+// Session'ı sonlanmış olarak kaydet
+async function markSessionEnded(sessionId) {
+    const db = await openDB();
+    const tx = db.transaction([ENDED_SESSIONS], 'readwrite');
+    const store = tx.objectStore(ENDED_SESSIONS);
+    
+    await promisifyRequest(store.put({ sessionId, endedAt: Date.now() }));
+}
+
+// Sonlanmış session ID'lerini getir
+async function getEndedSessions() {
+    try {
+        const db = await openDB();
+        const tx = db.transaction([ENDED_SESSIONS], 'readonly');
+        const store = tx.objectStore(ENDED_SESSIONS);
+        
+        const sessions = await promisifyRequest(store.getAll());
+        return new Set(sessions.map((session) => session.sessionId));
     } catch (error) {
-        console.error('Konum verileri temizleme hatası:', error);
+        swLog('error', 'Sonlanmış session listesi alınamadı', { error: error });
+        return new Set();
+    }
+}
+
+// Süren paylaşımı kaydet ve bildirimini göster
+async function setActiveSharing(sharing) {
+    const db = await openDB();
+    const tx = db.transaction([ACTIVE_SHARING], 'readwrite');
+    const store = tx.objectStore(ACTIVE_SHARING);
+    
+    await promisifyRequest(store.put(sharing));
+    await showSharingNotification(sharing);
+}
+
+// Paylaşan kişi paylaşımı duraklattı veya devam ettirdi: kaydı ve bildirimi güncelle.
+// pausedUntil yoksa paylaşım devam ettirilene kadar duraklatılmıştır. reason 'reconsent'
+// ise yeniden onay verildiğinde paylaşım kendiliğinden devam eder.
+async function updateSharingPause(sessionId, paused, pausedUntil = null, reason = 'sharer') {
+    const db = await openDB();
+    const tx = db.transaction([ACTIVE_SHARING], 'readwrite');
+    const store = tx.objectStore(ACTIVE_SHARING);
+    
+    const sharing = await promisifyRequest(store.get(sessionId));
+    if (!sharing) {
+        return;
+    }
+    sharing.paused = paused;
+    sharing.pausedUntil = paused ? pausedUntil : null;
+    sharing.pauseReason = paused ? reason : null;
+    await promisifyRequest(store.put(sharing));
+    await showSharingNotification(sharing);
+    
+    // Devam edildiğinde kuyrukta bekleyen konumları gönder
+    if (!paused) {
+        await handleLocationSync();
     }
 }
 
+// Yeniden onay beklendiği için duraklatılan paylaşım onaydan sonra devam eder
+async function resumeAfterReconsent(sessionId) {
+    const sharing = await getActiveSharing();
+    if (sharing && sharing.sessionId === sessionId && sharing.paused && sharing.pauseReason === 'reconsent') {
+        await updateSharingPause(sessionId, false);
+    }
+}
+
+// Paylaşım duraklatılmış mı (süre dolmuşsa duraklatma bitmiş sayılır)
+function isSharingPaused(sharing) {
+    if (!sharing.paused) {
+        return false;
+    }
+    return !sharing.pausedUntil || new Date(sharing.pausedUntil) > new Date();
+}
+
+// Süren paylaşım kaydını ve bildirimini kaldır
+async function clearActiveSharing(sessionId) {
+    const db = await openDB();
+    const tx = db.transaction([ACTIVE_SHARING], 'readwrite');
+    const store = tx.objectStore(ACTIVE_SHARING);
+    
+    await promisifyRequest(store.delete(sessionId));
+    await closeSharingNotification();
+}
+
+// Süren paylaşımı getir (yoksa null)
+async function getActiveSharing() {
+    try {
+        const db = await openDB();
+        const tx = db.transaction([ACTIVE_SHARING], 'readonly');
+        const store = tx.objectStore(ACTIVE_SHARING);
+        
+        const sharings = await promisifyRequest(store.getAll());
+        return sharings.find((sharing) => new Date(sharing.expiresAt) > new Date()) || null;
+    } catch (error) {
+        swLog('error', 'Aktif paylaşım bilgisi alınamadı', { error: error });
+        return null;
+    }
+}
+
+// IDBRequest sonucunu Promise olarak döndür
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // IndexedDB bağlantısını aç
 async function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('LocationTrackerDB', 1);
+        const request = indexedDB.open('LocationTrackerDB', 3);
         
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
@@ -128,85 +579,146 @@ async function openDB() {
                 });
                 store.createIndex('trackingId', 'trackingId', { unique: false });
             }
+            
+            if (!db.objectStoreNames.contains(ENDED_SESSIONS)) {
+                db.createObjectStore(ENDED_SESSIONS, { keyPath: 'sessionId' });
+            }
+            
+            if (!db.objectStoreNames.contains(ACTIVE_SHARING)) {
+                db.createObjectStore(ACTIVE_SHARING, { keyPath: 'sessionId' });
+            }
         };
     });
 }
 
-// Konum verilerini sunucuya gönder
-async function sendLocationToServer(locationData) {
+// Aynı session'a ait kuyruktaki konumları tek istekte sunucuya gönder.
+// Kuyruk anahtarı (timestamp) gönderilmez; sunucu konumun alındığı anı clientTimestamp'ten okur.
+// Şifreli linkin konumları kuyrukta açık durur (özel bölge kontrolü için) ve burada şifrelenir.
+async function sendLocationBatchToServer(locations) {
+    const { trackingId, sessionId } = locations[0];
     try {
+        const payload = await Promise.all(locations.map(({ timestamp, trackingId, sessionId, e2eKey, ...location }) =>
+            e2eKey ? toEncryptedLocation(e2eKey, trackingId, location) : location
+        ));
         const response = await fetch('/api/save-location', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(locationData)
+            body: JSON.stringify({
+                trackingId,
+                sessionId,
+                locations: payload
+            })
         });
         
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.code = body.code;
+            error.reason = body.reason;
+            error.pauseUntil = body.pauseUntil;
+            error.permanent = REJECTION_CODES.includes(body.code);
+            throw error;
         }
         
         return await response.json();
     } catch (error) {
-        console.error('Sunucuya gönderme hatası:', error);
+        swLog('error', 'Sunucuya gönderme hatası', { error: error });
         throw error;
     }
 }
 
-// Push notification desteği
+// Push notification desteği - paylaşım sürüyorsa paylaşan kişiye durumunu göster
 self.addEventListener('push', (event) => {
-    console.log('Push notification alındı:', event);
-    
-    const options = {
-        body: 'Konum takibi devam ediyor...',
-        icon: '/icon.png',
-        badge: '/badge.png',
-        vibrate: [100, 50, 100],
-        data: {
-            dateOfArrival: Date.now(),
-            primaryKey: 1
-        },
-        actions: [
-            {
-                action: 'explore',
-                title: 'Detayları Gör',
-                icon: '/images/checkmark.png'
-            },
-            {
-                action: 'close',
-                title: 'Kapat',
-                icon: '/images/xmark.png'
-            }
-        ]
-    };
+    swLog('debug', 'Push notification alındı');
     
     event.waitUntil(
-        self.registration.showNotification('Konum Takibi', options)
+        getActiveSharing().then((sharing) => {
+            if (sharing) {
+                return showSharingNotification(sharing);
+            }
+            return self.registration.showNotification('Konum Paylaşımı', {
+                body: 'Şu anda konumunuz paylaşılmıyor.',
+                icon: '/icon.png',
+                badge: '/badge.png'
+            });
+        })
     );
 });
 
 // Notification tıklama olayı
 self.addEventListener('notificationclick', (event) => {
-    console.log('Notification tıklandı:', event);
+    swLog('debug', 'Notification tıklandı', { tag: event.notification.tag, action: event.action });
     
+    const sharing = event.notification.data;
     event.notification.close();
     
-    if (event.action === 'explore') {
+    if (event.notification.tag === RECONSENT_NOTIFICATION_TAG && sharing) {
+        if (event.action === 'reconsent-continue') {
+            event.waitUntil(confirmReconsentFromNotification(sharing));
+        } else if (event.action === 'stop-sharing') {
+            event.waitUntil(stopSharingFromNotification(sharing));
+        } else {
+            event.waitUntil(clients.openWindow(getTrackingPageUrl(sharing)));
+        }
+        return;
+    }
+    
+    if (event.notification.tag !== SHARING_NOTIFICATION_TAG || !sharing) {
+        return;
+    }
+    
+    if (event.action === 'stop-sharing') {
+        event.waitUntil(stopSharingFromNotification(sharing));
+    } else {
+        // Bildirim paylaşım sürdükçe kapatılamaz; tıklanınca takip sayfasını aç
         event.waitUntil(
-            clients.openWindow('/admin.html')
+            showSharingNotification(sharing).then(() => clients.openWindow(getTrackingPageUrl(sharing)))
         );
     }
 });
 
+// Kullanıcı bildirimi kapatırsa paylaşım sürdüğü sürece yeniden göster
+self.addEventListener('notificationclose', (event) => {
+    if (event.notification.tag !== SHARING_NOTIFICATION_TAG) {
+        return;
+    }
+    
+    event.waitUntil(
+        getActiveSharing().then((sharing) => sharing && showSharingNotification(sharing))
+    );
+});
+
 // Mesaj dinleme (ana sayfadan gelen mesajlar)
 self.addEventListener('message', (event) => {
-    console.log('Service Worker mesajı alındı:', event.data);
+    swLog('debug', 'Service Worker mesajı alındı', { type: event.data.type });
     
     if (event.data.type === 'STORE_LOCATION') {
         event.waitUntil(storeLocation(event.data.location));
     } else if (event.data.type === 'TRIGGER_SYNC') {
         event.waitUntil(handleLocationSync());
+    } else if (event.data.type === 'SHARING_STARTED') {
+        event.waitUntil(setActiveSharing(event.data.sharing));
+    } else if (event.data.type === 'SHARING_PAUSED') {
+        event.waitUntil(updateSharingPause(event.data.sessionId, true, event.data.pausedUntil));
+    } else if (event.data.type === 'SHARING_RESUMED') {
+        event.waitUntil(updateSharingPause(event.data.sessionId, false));
+    } else if (event.data.type === 'RECONSENT_REQUIRED') {
+        event.waitUntil(showReconsentNotification(event.data.sessionId, event.data.deadline, event.data.paused));
+    } else if (event.data.type === 'RECONSENT_CONFIRMED') {
+        event.waitUntil(Promise.all([
+            closeNotifications(RECONSENT_NOTIFICATION_TAG),
+            resumeAfterReconsent(event.data.sessionId)
+        ]));
+    } else if (event.data.type === 'SESSION_ENDED') {
+        event.waitUntil(handleSessionEnded(event.data.sessionId));
+    } else if (event.data.type === 'LINK_DELETED') {
+        event.waitUntil(handleLinkDeleted(event.data.trackingId, event.data.sessionIds || []));
+    } else if (event.data.type === 'GET_PENDING_COUNT') {
+        event.waitUntil(notifyPendingCount());
+    } else if (event.data.type === 'DISCARD_PENDING') {
+        event.waitUntil(clearStoredLocations().then(notifyPendingCount));
     }
 });
 
@@ -247,7 +759,31 @@ self.addEventListener('fetch', (event) => {
 async function handleBackgroundLocation(request) {
     try {
         const locationData = await request.json();
-        await storeLocation(locationData);
+        
+        const sharing = await getActiveSharing();
+        if (sharing && sharing.sessionId === locationData.sessionId && isSharingPaused(sharing)) {
+            return new Response(JSON.stringify({ error: 'Paylaşım duraklatıldı', code: 'SESSION_PAUSED' }), {
+                status: 409,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // Özel bölgedeki konum kuyruğa alınmaz
+        const privateZones = await getPrivateZones();
+        if (findPrivateZone(privateZones, locationData.latitude, locationData.longitude)) {
+            return new Response(JSON.stringify({ success: true, privateZone: true }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const stored = await storeLocation(locationData);
+        
+        if (!stored) {
+            return new Response(JSON.stringify({ error: 'Session sonlandırılmış', code: 'SESSION_INACTIVE' }), {
+                status: 410,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
         
         // Background Sync'i tetikle
         if ('sync' in self.registration) {
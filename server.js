@@ -4,16 +4,29 @@ const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
 const http = require('http');
 const socketIo = require('socket.io');
 const rateLimit = require('express-rate-limit');
+const bcrypt = require('bcryptjs');
+const cron = require('node-cron');
+const QRCode = require('qrcode');
+const { createTransactionRunner, BUSY_TIMEOUT } = require('./lib/transaction');
+const { validateLocationData, createLocationIngestor } = require('./lib/ingestion');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
+  cors: (req, callback) => callback(null, { origin: isAllowedOrigin(req), methods: ["GET", "POST"] }),
+  // İzin verilmeyen origin'den gelen bağlantılar el sıkışmada reddedilir
+  allowRequest: (req, callback) => {
+    if (!isAllowedOrigin(req)) {
+      logRejection(req, 'origin', { transport: 'socket.io' });
+      callback('ORIGIN_NOT_ALLOWED', false);
+      return;
+    }
+    callback(null, true);
   },
   transports: ['websocket', 'polling'],
   allowEIO3: true
@@ -22,19 +35,259 @@ const io = socketIo(server, {
 const PORT = process.env.PORT || 10000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-// Rate limiting - Tamamen devre dışı (geliştirme için)
-// if (NODE_ENV === 'production') {
-//   const limiter = rateLimit({
-//     windowMs: 15 * 60 * 1000, // 15 dakika
-//     max: 10000, // IP başına maksimum istek (çok yüksek)
-//     message: 'Çok fazla istek gönderildi, lütfen daha sonra tekrar deneyin.',
-//     standardHeaders: true,
-//     legacyHeaders: false,
-//     skipSuccessfulRequests: true, // Başarılı istekleri sayma
-//     skipFailedRequests: false
-//   });
-//   app.use(limiter);
-// }
+// Yapılandırılmış log: her kayıt tek satır JSON'dur. Konum, IP, e-posta ve tarayıcı bilgisi
+// maskelenir, token'lar yazılmaz, kimlikler kısa hash olarak yazılır. LOG_LEVEL=debug production
+// dışında açılabilir; yalnızca o durumda koordinat ve IP'ler açık yazılır.
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REQUESTED_LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] === undefined ? 'info' : process.env.LOG_LEVEL;
+const LOG_LEVEL = REQUESTED_LOG_LEVEL === 'debug' && NODE_ENV === 'production' ? 'info' : REQUESTED_LOG_LEVEL;
+const DEBUG_LOGGING = LOG_LEVEL === 'debug';
+
+const SECRET_LOG_FIELDS = ['token', 'linkToken', 'revocationToken', 'deviceKey', 'password', 'cookie', 
+  'authorization', 'ciphertext', 'e2eKey', 'csrfToken'];
+const ID_LOG_FIELDS = ['trackingId', 'tracking_id', 'sessionId', 'session_id', 'consentId', 'consent_id'];
+const COORDINATE_LOG_FIELDS = ['latitude', 'longitude', 'lat', 'lng'];
+const IP_LOG_FIELDS = ['ip', 'ipAddress', 'ip_address'];
+const EMAIL_LOG_FIELDS = ['email', 'actor', 'owner_email'];
+const USER_AGENT_LOG_FIELDS = ['userAgent', 'user_agent'];
+
+// IPv4'ün son okteti, IPv6'nın ilk üç grubundan sonrası atılır
+function maskIp(ip) {
+  const address = String(ip).replace(/^::ffff:/, '');
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  return `${address.split(':').slice(0, 3).join(':')}::`;
+}
+
+function redactLogValue(key, value, depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  // instanceof başka realm'de (jest, vm) oluşturulan hataları tanımaz
+  if (util.types.isNativeError(value)) {
+    return DEBUG_LOGGING 
+      ? { message: value.message, code: value.code, stack: value.stack } 
+      : { message: value.message, code: value.code };
+  }
+  if (SECRET_LOG_FIELDS.includes(key)) {
+    return '[redacted]';
+  }
+  if (ID_LOG_FIELDS.includes(key)) {
+    return `#${crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 10)}`;
+  }
+  if (COORDINATE_LOG_FIELDS.includes(key) && typeof value === 'number') {
+    // İki ondalık yaklaşık 1 km hassasiyet
+    return DEBUG_LOGGING ? value : Math.round(value * 100) / 100;
+  }
+  if (IP_LOG_FIELDS.includes(key)) {
+    return DEBUG_LOGGING ? value : maskIp(value);
+  }
+  if (EMAIL_LOG_FIELDS.includes(key) && String(value).includes('@')) {
+    const [name, domain] = String(value).split('@');
+    return `${name.charAt(0)}***@${domain}`;
+  }
+  if (USER_AGENT_LOG_FIELDS.includes(key)) {
+    return DEBUG_LOGGING ? value : '[redacted]';
+  }
+  if (typeof value === 'object' && depth < 4) {
+    if (Array.isArray(value)) {
+      return value.map(item => redactLogValue(key, item, depth + 1));
+    }
+    const redacted = {};
+    Object.keys(value).forEach(field => {
+      redacted[field] = redactLogValue(field, value[field], depth + 1);
+    });
+    return redacted;
+  }
+  return value;
+}
+
+// URL yolundaki token ve kimlikler (/api/revoke/<token>, /api/locations/<trackingId>) yazılmaz
+function redactPath(url) {
+  return String(url).split('?')[0].replace(/\/[A-Za-z0-9_.-]{16,}/g, '/:id');
+}
+
+// context: her kayda eklenen alanlar (ör. requestId). Mesajlara kişisel veri gömülmez,
+// değişken değerler fields ile verilir ve maskelenir.
+function createLogger(context = {}) {
+  const write = (level, message, fields = {}) => {
+    if (LOG_LEVELS[level] > LOG_LEVELS[LOG_LEVEL]) {
+      return;
+    }
+    const entry = JSON.stringify({
+      at: new Date().toISOString(),
+      level,
+      message,
+      ...context,
+      ...redactLogValue(null, fields)
+    });
+    (LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${entry}\n`);
+  };
+  return {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    child: (childContext) => createLogger({ ...context, ...childContext })
+  };
+}
+
+const logger = createLogger();
+if (REQUESTED_LOG_LEVEL !== LOG_LEVEL) {
+  logger.warn('LOG_LEVEL=debug production ortamında kullanılamaz; info seviyesine düşürüldü');
+}
+// Bu süre boyunca konum gelmeyen aktif session terk edilmiş sayılır (dakika)
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT) || 60;
+// Yeniden onay istendikten sonra cevap için tanınan süre; dolunca session duraklatılır (dakika)
+const RECONSENT_GRACE_PERIOD = parseInt(process.env.RECONSENT_GRACE_PERIOD) || 15;
+// Linkte saklama süresi belirtilmemişse konum, session ve bildirim kayıtlarının saklanacağı süre (gün)
+const DATA_RETENTION_DAYS = parseInt(process.env.DATA_RETENTION_DAYS) || 30;
+// Linklere verilebilecek en uzun saklama süresi (gün)
+const MAX_DATA_RETENTION_DAYS = parseInt(process.env.MAX_DATA_RETENTION_DAYS) || 365;
+// Yönetim paneli oturumlarının geçerlilik süresi (saat)
+const AUTH_SESSION_TTL = parseInt(process.env.AUTH_SESSION_TTL) || 12;
+const AUTH_COOKIE = 'legachecker_sid';
+// Yönetim panelinin durum değiştiren isteklerde X-CSRF-Token başlığına koyduğu değer
+const CSRF_COOKIE = 'legachecker_csrf';
+// Tracking link URL'lerindeki imzalı token'ın varsayılan ve en uzun geçerlilik süresi (saat)
+const LINK_TOKEN_TTL = parseInt(process.env.LINK_TOKEN_TTL) || 72;
+const MAX_LINK_TOKEN_TTL = parseInt(process.env.MAX_LINK_TOKEN_TTL) || 720;
+// Linklerde seçilebilecek konum gönderme aralığı (saniye) ve en uzun paylaşım süresi (dakika)
+const MIN_TRACKING_INTERVAL = 5;
+const MAX_TRACKING_INTERVAL = 3600;
+const MAX_SHARING_DURATION = parseInt(process.env.MAX_SHARING_DURATION) || 10080;
+// Link token'larını imzalayan anahtar. Verilmezse her açılışta yeni anahtar üretilir
+// ve önceki linkler geçersiz olur.
+const LINK_SIGNING_SECRET = process.env.LINK_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+// Canlı izleme odasına katılmak için verilen token'ların geçerlilik süresi (dakika)
+const ROOM_TOKEN_TTL = parseInt(process.env.ROOM_TOKEN_TTL) || 5;
+// Konum geçmişini şifreleyen ana anahtar; link başına anahtarlar bundan türetilir. Anahtar
+// değiştirilirken eskisi LOCATION_PREVIOUS_MASTER_KEYS'e (virgülle ayrılmış) yazılır ve açılışta
+// eski anahtarla şifrelenmiş satırlar yeni anahtarla yeniden şifrelenir.
+const LOCATION_MASTER_KEY = process.env.LOCATION_MASTER_KEY || null;
+const LOCATION_PREVIOUS_MASTER_KEYS = (process.env.LOCATION_PREVIOUS_MASTER_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+if (!LOCATION_MASTER_KEY && NODE_ENV === 'production') {
+  logger.error('LOCATION_MASTER_KEY tanımlı değil; production ortamında konum geçmişi şifrelenmeden saklanamaz');
+  process.exit(1);
+}
+// Bu kadar farklı kişiden kötüye kullanım bildirimi alan link otomatik devre dışı bırakılır
+const ABUSE_REPORT_THRESHOLD = parseInt(process.env.ABUSE_REPORT_THRESHOLD) || 3;
+
+// API ve socket.io'ya istek gönderebilecek origin'ler (virgülle ayrılmış). Uygulamanın kendi
+// adresi her zaman izinlidir; Origin başlığı olmayan istemciler (mobil uygulama, curl) etkilenmez.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// İstek sınırları; her bütçe ayrı sayılır. Pencereler dakika cinsindendir.
+const RATE_LIMITS = {
+  // Yönetim ve paylaşım API'lerindeki okuma istekleri (IP başına)
+  read: { windowMinutes: 1, limit: parseInt(process.env.RATE_LIMIT_READ) || 300 },
+  // Konum içe aktarma dışındaki yazma istekleri (IP başına)
+  write: { windowMinutes: 1, limit: parseInt(process.env.RATE_LIMIT_WRITE) || 60 },
+  // Konum içe aktarma (IP başına; aynı ağdaki birçok cihaz için geniş tutulur)
+  ingestion: { windowMinutes: 1, limit: parseInt(process.env.RATE_LIMIT_INGESTION) || 600 },
+  // Konum içe aktarma (session başına; toplu gönderim tek istek sayılır)
+  ingestionSession: { windowMinutes: 1, limit: parseInt(process.env.RATE_LIMIT_INGESTION_SESSION) || 60 },
+  // Paylaşım token'ı, link token'ı veya session ile yapılan istekler (token başına)
+  token: { windowMinutes: 1, limit: parseInt(process.env.RATE_LIMIT_TOKEN) || 30 },
+  // Link oluşturma (kullanıcı başına)
+  linkCreation: { windowMinutes: 60, limit: parseInt(process.env.RATE_LIMIT_LINK_CREATION) || 30 },
+  // Giriş denemeleri (IP başına)
+  login: { windowMinutes: 15, limit: parseInt(process.env.RATE_LIMIT_LOGIN) || 10 }
+};
+
+// Reddedilen istekleri yapılandırılmış log olarak yaz
+function logRejection(req, reason, details = {}) {
+  (req.log || logger).warn('İstek reddedildi', {
+    event: 'request-rejected',
+    reason,
+    method: req.method,
+    path: redactPath(req.originalUrl || req.url),
+    ip: getClientIp(req),
+    origin: req.headers.origin || null,
+    ...details
+  });
+}
+
+// Origin başlığı yoksa (aynı origin GET, tarayıcı dışı istemci) veya izinliyse true
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin || ALLOWED_ORIGINS.includes(origin)) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Paylaşan kişinin isteklerindeki token: revoke token'ı, session veya link token'ı
+function getRequestToken(req) {
+  const body = req.body || {};
+  return req.params.token || body.token || body.sessionId || body.linkToken || null;
+}
+
+function createRateLimiter(name, { keyGenerator = getClientIp, skip } = {}) {
+  const { windowMinutes, limit } = RATE_LIMITS[name];
+  return rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit,
+    keyGenerator,
+    skip,
+    standardHeaders: true,
+    legacyHeaders: false,
+    // IP, X-Forwarded-For'u da dikkate alan getClientIp ile alınıyor
+    validate: { ip: false, trustProxy: false, xForwardedForHeader: false },
+    handler: (req, res) => {
+      logRejection(req, 'rate-limit', { limiter: name });
+      res.status(429).json({ 
+        error: 'Çok fazla istek gönderildi, lütfen daha sonra tekrar deneyin', 
+        code: 'RATE_LIMITED',
+        retryAfter: Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000))
+      });
+    }
+  });
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Konum içe aktarma yolları yalnızca kendi bütçelerine sayılır
+const INGESTION_PATHS = ['/save-location', '/mobile/location', '/background-location'];
+
+const readLimiter = createRateLimiter('read', { skip: req => !SAFE_METHODS.includes(req.method) });
+const writeLimiter = createRateLimiter('write', { 
+  skip: req => SAFE_METHODS.includes(req.method) || INGESTION_PATHS.includes(req.path) 
+});
+const ingestionLimiter = createRateLimiter('ingestion');
+// sessionId metin değilse istek IP adresinin bütçesine sayılır
+const ingestionSessionLimiter = createRateLimiter('ingestionSession', {
+  keyGenerator: req => String(typeof req.body.sessionId === 'string' && req.body.sessionId || getClientIp(req)),
+  skip: req => !req.body
+});
+const tokenLimiter = createRateLimiter('token', {
+  keyGenerator: req => hashToken(String(getRequestToken(req))),
+  skip: req => !getRequestToken(req)
+});
+// requireAuth'tan sonra çalışır
+const linkCreationLimiter = createRateLimiter('linkCreation', { keyGenerator: req => String(req.user.id) });
+const loginLimiter = createRateLimiter('login');
+
+// Durum değiştiren istekler yalnızca izinli origin'lerden kabul edilir. Okuma istekleri
+// engellenmez; izinsiz origin'e CORS başlığı dönmediği için tarayıcı yanıtı okutmaz.
+const originGuard = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || isAllowedOrigin(req)) {
+    next();
+    return;
+  }
+  logRejection(req, 'origin');
+  res.status(403).json({ error: 'Bu adresten istek gönderilemez', code: 'ORIGIN_NOT_ALLOWED' });
+};
 
 // Production güvenlik middleware'leri
 if (NODE_ENV === 'production') {
@@ -53,38 +306,623 @@ if (NODE_ENV === 'production') {
     res.setHeader('X-Frame-Options', 'DENY');
     res.setHeader('X-XSS-Protection', '1; mode=block');
     res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
-    // Content Security Policy - QR kod ve Leaflet.js için güncellendi
-    res.setHeader('Content-Security-Policy', "default-src 'self'; script-src 'self' 'unsafe-inline' https://unpkg.com https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https://unpkg.com https://cdn.jsdelivr.net; img-src 'self' https://api.qrserver.com https://*.tile.openstreetmap.org data:; connect-src 'self' https://*.tile.openstreetmap.org; font-src 'self' https://unpkg.com https://cdn.jsdelivr.net;");
+    // Content Security Policy - Leaflet.js için güncellendi (QR kodlar sunucuda üretilir)
+    res.setHeader('Content-Security-Policy', "default-src 'self'; script-src 'self' 'unsafe-inline' https://unpkg.com https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https://unpkg.com https://cdn.jsdelivr.net; img-src 'self' https://*.tile.openstreetmap.org data:; connect-src 'self' https://*.tile.openstreetmap.org; font-src 'self' https://unpkg.com https://cdn.jsdelivr.net;");
     next();
   });
 }
 
-// Input validation middleware
-const validateLocationData = (req, res, next) => {
-  const { latitude, longitude, accuracy } = req.body;
-  
-  if (!latitude || !longitude || !accuracy) {
-    return res.status(400).json({ error: 'Eksik konum verileri' });
+// QR kodların sunucuda üretildiği biçimler ve seçilebilen kenar uzunluğu (piksel)
+const QR_FORMATS = { png: 'image/png', svg: 'image/svg+xml' };
+const QR_DEFAULT_SIZE = 300;
+const QR_MIN_SIZE = 100;
+const QR_MAX_SIZE = 1000;
+
+// Rıza metni sürümü - metin değiştiğinde artırılmalı
+const CONSENT_VERSION = '1.3';
+
+// Linkin konumla birlikte saklayabileceği veriler. Profili kayıtlı olmayan
+// linkler bu varsayılanı kullanır; izin verilmeyen alanlar sunucuda atılır.
+const DEFAULT_COLLECTION_PROFILE = {
+  precision: 'exact',
+  motion: true,
+  device: false,
+  ipAddress: false,
+  userAgent: false
+};
+
+// Düşük hassasiyet modlarında koordinatların yuvarlandığı ondalık basamak ve
+// yaklaşık çözünürlük (metre). Yuvarlama takip sayfasında, konum cihazdan
+// çıkmadan yapılır; sunucu aynı yuvarlamayı tekrar uygular.
+const PRECISION_LEVELS = {
+  exact: null,
+  neighbourhood: { decimals: 2, meters: 1000 },
+  city: { decimals: 1, meters: 10000 }
+};
+
+function parseCollectionProfile(link) {
+  let stored = {};
+  try {
+    stored = JSON.parse(link.collection_profile || '{}');
+  } catch (error) {
+    logger.error('Geçersiz toplama profili', { trackingId: link.id });
   }
-  
-  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-    return res.status(400).json({ error: 'Geçersiz koordinatlar' });
+  return { ...DEFAULT_COLLECTION_PROFILE, ...stored };
+}
+
+// create-link isteğindeki profili doğrula; geçersizse null döner
+function normalizeCollectionProfile(input = {}) {
+  const precision = input.precision || DEFAULT_COLLECTION_PROFILE.precision;
+  if (!Object.prototype.hasOwnProperty.call(PRECISION_LEVELS, precision)) {
+    return null;
   }
-  
-  if (accuracy < 0 || accuracy > 10000) {
-    return res.status(400).json({ error: 'Geçersiz hassasiyet değeri' });
+  const profile = { precision };
+  ['motion', 'device', 'ipAddress', 'userAgent'].forEach(field => {
+    profile[field] = input[field] === undefined ? DEFAULT_COLLECTION_PROFILE[field] : input[field] === true;
+  });
+  return profile;
+}
+
+// Rıza ekranında listelenen, profile göre her konumla birlikte toplanan veriler
+function describeCollectedData(profile) {
+  const coordinates = {
+    exact: 'Konum koordinatları (enlem, boylam, hassasiyet)',
+    neighbourhood: 'Yaklaşık konum (mahalle düzeyinde, ~1 km)',
+    city: 'Yaklaşık konum (şehir düzeyinde, ~10 km)'
+  };
+  const collected = [coordinates[profile.precision]];
+  if (profile.motion) {
+    collected.push('Hareket bilgisi (hız, yön, yükseklik)');
+  }
+  if (profile.device) {
+    collected.push('Cihaz bilgisi (pil seviyesi, ağ tipi)');
+  }
+  if (profile.ipAddress) {
+    collected.push('IP adresi');
+  }
+  if (profile.userAgent) {
+    collected.push('Tarayıcı bilgisi (user agent)');
+  }
+  return collected;
+}
+
+function roundCoordinate(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Linkin saklama süresi; belirtilmemişse sunucu varsayılanı kullanılır, üst sınır her durumda uygulanır (gün)
+function getRetentionDays(link) {
+  return Math.min(link.retention_days || DATA_RETENTION_DAYS, MAX_DATA_RETENTION_DAYS);
+}
+
+// tracking_links satırından rıza metnini oluştur
+function buildConsentNotice(link) {
+  const requester = link.requester_name || 'Belirtilmemiş';
+  const purpose = link.purpose || 'Belirtilmemiş';
+  const collectionProfile = parseCollectionProfile(link);
+  const collectedData = describeCollectedData(collectionProfile);
+  const sentences = [
+    `Konumunuz ${requester} ile paylaşılacaktır.`,
+    `Amaç: ${purpose}.`,
+    `Konumunuz yaklaşık her ${link.tracking_interval} saniyede bir gönderilir ve paylaşım en fazla ${link.max_duration} dakika sürer.`,
+    `Toplanan veriler: ${collectedData.join(', ')}.`
+  ];
+  if (link.reconsent_interval > 0) {
+    sentences.push(`Her ${link.reconsent_interval} dakikada bir paylaşıma devam etmek isteyip istemediğiniz sorulur; ${RECONSENT_GRACE_PERIOD} dakika içinde onaylamazsanız paylaşım duraklatılır.`);
+  }
+  if (link.e2e) {
+    sentences.push('Konumunuz cihazınızda şifrelenir; sunucu koordinatlarınızı göremez, yalnızca linkin sahibi çözebilir.');
+  }
+  sentences.push(`Konum verileriniz en fazla ${getRetentionDays(link)} gün saklanır, ardından otomatik olarak silinir.`);
+  sentences.push('Paylaşımı istediğiniz zaman durdurabilirsiniz.');
+  const text = sentences.join(' ');
+
+  return {
+    version: CONSENT_VERSION,
+    linkName: link.name,
+    requester,
+    purpose,
+    trackingInterval: link.tracking_interval,
+    maxDuration: link.max_duration,
+    reconsentInterval: link.reconsent_interval || 0,
+    reconsentGracePeriod: RECONSENT_GRACE_PERIOD,
+    retentionDays: getRetentionDays(link),
+    collectionProfile,
+    collectedData,
+    e2e: !!link.e2e,
+    text
+  };
+}
+
+// İstemci IP adresi (Render proxy arkasında x-forwarded-for kullanılır)
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Uygulamanın dışarıya verilen linklerde kullanılan adresi
+function getBaseUrl(req) {
+  return NODE_ENV === 'production' 
+    ? `https://${req.get('host')}` 
+    : `http://localhost:${PORT}`;
+}
+
+// Paylaşan kişiye verilen tokenlar veritabanında yalnızca hash olarak tutulur
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Date -> SQLite CURRENT_TIMESTAMP biçimi (UTC, 'YYYY-MM-DD HH:MM:SS')
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// SQLite CURRENT_TIMESTAMP biçimi -> Date
+function fromSqliteDate(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+// Link token'ı "<sürüm>.<bitiş (unix sn)>.<imza>" biçimindedir. İmza link kimliğini,
+// sürümü ve bitiş zamanını kapsar; token yenilenince sürüm artar ve eski URL'ler geçersiz olur.
+function signLinkToken(link) {
+  const expires = Math.floor(fromSqliteDate(link.link_token_expires_at).getTime() / 1000);
+  const payload = `${link.link_token_version}.${expires}`;
+  const signature = crypto.createHmac('sha256', LINK_SIGNING_SECRET)
+    .update(`${link.id}.${payload}`)
+    .digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function getTrackingUrl(req, link) {
+  return `${getBaseUrl(req)}/track/${link.id}?t=${signLinkToken(link)}`;
+}
+
+// URL'deki link token'ını doğrula; geçersizse { status, code, message } döner
+function verifyLinkToken(link, token) {
+  if (link.link_token_revoked_at) {
+    return { status: 410, code: 'LINK_TOKEN_REVOKED', message: 'Bu link iptal edildi' };
+  }
+
+  const expected = Buffer.from(signLinkToken(link));
+  const given = Buffer.from(typeof token === 'string' ? token : '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { status: 403, code: 'INVALID_LINK_TOKEN', message: 'Bu link geçersiz veya yenilenmiş' };
+  }
+  if (fromSqliteDate(link.link_token_expires_at) <= new Date()) {
+    return { status: 410, code: 'LINK_TOKEN_EXPIRED', message: 'Bu linkin süresi dolmuş' };
+  }
+  return null;
+}
+
+// create-link ve token yenileme isteğindeki geçerlilik süresi (saat); geçersizse null
+function parseLinkValidHours(value) {
+  if (value === undefined || value === null) {
+    return LINK_TOKEN_TTL;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_LINK_TOKEN_TTL) {
+    return null;
+  }
+  return value;
+}
+
+// location_data'da link anahtarıyla şifrelenen sütunlar
+const ENCRYPTED_LOCATION_FIELDS = ['latitude', 'longitude', 'ip_address', 'user_agent'];
+
+// Ana anahtarın kısa kimliği; satırın hangi anahtarla şifrelendiğini belirtir, anahtarı açık etmez
+function getMasterKeyId(masterKey) {
+  return crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 8);
+}
+
+const masterKeys = new Map([LOCATION_MASTER_KEY, ...LOCATION_PREVIOUS_MASTER_KEYS]
+  .filter(Boolean)
+  .map(key => [getMasterKeyId(key), key]));
+const CURRENT_MASTER_KEY_ID = LOCATION_MASTER_KEY ? getMasterKeyId(LOCATION_MASTER_KEY) : null;
+const linkKeyCache = new Map();
+
+// Satırın key_id'si "<ana anahtar kimliği>.<link anahtar sürümü>" biçimindedir. Link anahtarı
+// ana anahtardan HKDF ile link kimliği ve sürüm kullanılarak türetilir; ana anahtar bilinmiyorsa null.
+function getLinkKey(keyId, trackingId) {
+  const cacheKey = `${keyId}:${trackingId}`;
+  if (!linkKeyCache.has(cacheKey)) {
+    const [masterKeyId, version] = keyId.split('.');
+    const masterKey = masterKeys.get(masterKeyId);
+    if (!masterKey) {
+      return null;
+    }
+    linkKeyCache.set(cacheKey, Buffer.from(
+      crypto.hkdfSync('sha256', masterKey, trackingId, `legachecker-location-v${version}`, 32)
+    ));
+  }
+  return linkKeyCache.get(cacheKey);
+}
+
+// Linkin güncel anahtarının kimliği; ana anahtar tanımlı değilse null (şifreleme kapalı)
+function getCurrentKeyId(linkKeyVersion) {
+  return CURRENT_MASTER_KEY_ID ? `${CURRENT_MASTER_KEY_ID}.${linkKeyVersion || 1}` : null;
+}
+
+// Değer AES-256-GCM ile "<iv>.<etiket>.<şifreli metin>" (base64url) olarak saklanır.
+// Sütun adı ek doğrulama verisidir; şifreli değerler sütunlar arasında yer değiştiremez.
+function encryptField(key, field, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(field));
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${iv.toString('base64url')}.${cipher.getAuthTag().toString('base64url')}.${encrypted.toString('base64url')}`;
+}
+
+function decryptField(key, field, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const [iv, tag, encrypted] = String(value).split('.');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// Konum satırının şifrelenecek alanlarını linkin güncel anahtarıyla şifrele.
+// { latitude, longitude, ip_address, user_agent, key_id } döner; şifreleme kapalıysa alanlar açık kalır.
+function encryptLocationFields(trackingId, linkKeyVersion, fields) {
+  const keyId = getCurrentKeyId(linkKeyVersion);
+  const result = { key_id: keyId };
+  const key = keyId && getLinkKey(keyId, trackingId);
+  ENCRYPTED_LOCATION_FIELDS.forEach(field => {
+    result[field] = key ? encryptField(key, field, fields[field]) : fields[field];
+  });
+  return result;
+}
+
+// Veritabanından okunan location_data satırlarını yerinde çöz. Satırlar tracking_id ve key_id
+// içermelidir. Anahtarı bilinmeyen veya bozulmuş alanlar null döner.
+function decryptLocationRows(rows) {
+  rows.forEach(row => {
+    if (row.key_id) {
+      const key = getLinkKey(row.key_id, row.tracking_id);
+      ENCRYPTED_LOCATION_FIELDS.forEach(field => {
+        try {
+          row[field] = key ? decryptField(key, field, row[field]) : null;
+        } catch (error) {
+          logger.error('Konum alanı çözülemedi', { locationId: row.id, field, error });
+          row[field] = null;
+        }
+      });
+      if (row.latitude !== null) {
+        row.latitude = Number(row.latitude);
+      }
+      if (row.longitude !== null) {
+        row.longitude = Number(row.longitude);
+      }
+    }
+    // Anahtar kimliği yalnızca sunucu içinde kullanılır
+    delete row.key_id;
+  });
+  return rows;
+}
+
+// Satırları çözüp güncel ana anahtar ve linkin anahtar sürümüyle (keyVersion verilmezse
+// satırın link_key_version'ı) yeniden şifreler, tx üzerinde tek tek günceller. Anahtarı
+// bilinmeyen satırlar atlanır. İlk hatada durur; done(err, { reencrypted, skipped }).
+function reencryptRows(tx, rows, keyVersion, done) {
+  const counts = { reencrypted: 0, skipped: 0 };
+  const updates = [];
+  rows.forEach(row => {
+    const plain = { ...row };
+    if (row.key_id) {
+      // Çözülemeyen satır null ile üzerine yazılmaz, olduğu gibi bırakılır
+      try {
+        const key = getLinkKey(row.key_id, row.tracking_id);
+        if (!key) {
+          throw new Error('Ana anahtar bulunamadı');
+        }
+        ENCRYPTED_LOCATION_FIELDS.forEach(field => {
+          plain[field] = decryptField(key, field, row[field]);
+        });
+      } catch (error) {
+        counts.skipped++;
+        return;
+      }
+    }
+    const encrypted = encryptLocationFields(row.tracking_id, keyVersion || row.link_key_version, plain);
+    updates.push([
+      ...ENCRYPTED_LOCATION_FIELDS.map(field => encrypted[field]), encrypted.key_id, row.id, row.key_id
+    ]);
+  });
+
+  const runUpdate = (index) => {
+    if (index >= updates.length) {
+      done(null, counts);
+      return;
+    }
+    // Bu arada değişen satırın üzerine yazılmaz
+    tx.run(`UPDATE location_data SET latitude = ?, longitude = ?, ip_address = ?, user_agent = ?, key_id = ? 
+      WHERE id = ? AND key_id IS ?`, 
+      updates[index], 
+      function(err) {
+        if (err) {
+          done(err);
+          return;
+        }
+        counts.reencrypted += this.changes;
+        runUpdate(index + 1);
+      }
+    );
+  };
+  runUpdate(0);
+}
+
+// Açık kalmış veya eski anahtarla şifrelenmiş satırları güncel anahtarla yeniden şifrele.
+// Satırlar 500'lük gruplar halinde, her grup tek transaction'da işlenir; bir güncelleme
+// başarısız olursa o grup geri alınır. trackingId verilirse yalnızca o linkin satırları işlenir.
+function reencryptLocations(trackingId, callback) {
+  const result = { reencrypted: 0, skipped: 0 };
+  if (!CURRENT_MASTER_KEY_ID) {
+    callback(null, result);
+    return;
+  }
+
+  let lastId = 0;
+  const nextBatch = () => {
+    let query = `SELECT d.id, d.tracking_id, d.key_id, d.latitude, d.longitude, d.ip_address, d.user_agent, 
+        COALESCE(l.encryption_key_version, 1) AS link_key_version 
+      FROM location_data d 
+      LEFT JOIN tracking_links l ON l.id = d.tracking_id 
+      WHERE d.id > ? AND (d.key_id IS NULL OR d.key_id != ? || '.' || COALESCE(l.encryption_key_version, 1))`;
+    const params = [lastId, CURRENT_MASTER_KEY_ID];
+    if (trackingId) {
+      query += ' AND d.tracking_id = ?';
+      params.push(trackingId);
+    }
+    query += ' ORDER BY d.id LIMIT 500';
+
+    db.all(query, params, (err, rows) => {
+      if (err || rows.length === 0) {
+        callback(err, result);
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+
+      runTransaction((tx, done) => {
+        reencryptRows(tx, rows, null, done);
+      }, (err, counts) => {
+        if (err) {
+          callback(err, result);
+          return;
+        }
+        result.reencrypted += counts.reencrypted;
+        result.skipped += counts.skipped;
+        nextBatch();
+      });
+    });
+  };
+  nextBatch();
+}
+
+// Linkin anahtar sürümünü artır ve linkin tüm konumlarını yeni sürümle yeniden şifrele.
+// Sürüm, satırlarla aynı transaction'da değişir: herhangi bir adım başarısız olursa link
+// eski anahtarda kalır. callback(err, { keyVersion, reencrypted, skipped })
+function rotateLinkKey(trackingId, callback) {
+  runTransaction((tx, done) => {
+    tx.get('SELECT COALESCE(encryption_key_version, 1) AS key_version FROM tracking_links WHERE id = ?', 
+      [trackingId], 
+      (err, link) => {
+        if (err || !link) {
+          done(err || new Error('Link bulunamadı'));
+          return;
+        }
+        const keyVersion = link.key_version + 1;
+
+        tx.all(`SELECT id, tracking_id, key_id, latitude, longitude, ip_address, user_agent 
+          FROM location_data WHERE tracking_id = ? ORDER BY id`, 
+          [trackingId], 
+          (err, rows) => {
+            if (err) {
+              done(err);
+              return;
+            }
+            reencryptRows(tx, rows, keyVersion, (err, counts) => {
+              if (err) {
+                done(err);
+                return;
+              }
+              tx.run('UPDATE tracking_links SET encryption_key_version = ? WHERE id = ?', [keyVersion, trackingId], (err) => {
+                done(err, { keyVersion, ...counts });
+              });
+            });
+          }
+        );
+      }
+    );
+  }, callback);
+}
+
+// Cookie başlığını { ad: değer } nesnesine çevir
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const value = pair.slice(index + 1).trim();
+      // Bozuk kodlanmış değer isteği düşürmez, ham haliyle kullanılır
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (err) {
+        cookies[pair.slice(0, index).trim()] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+// Cookie'deki oturum token'ından giriş yapmış kullanıcıyı bul. Oturumlar sunucu
+// tarafında auth_sessions tablosunda, token'ın hash'i ile tutulur.
+function findAuthenticatedUser(req, callback) {
+  const token = parseCookies(req)[AUTH_COOKIE];
+  if (!token) {
+    callback(null, null);
+    return;
+  }
+
+  db.get(`SELECT u.id, u.email, u.name, u.is_admin, a.id AS auth_session_id, a.expires_at 
+    FROM auth_sessions a 
+    JOIN users u ON u.id = a.user_id 
+    WHERE a.id = ?`, 
+    [hashToken(token)], 
+    (err, user) => {
+      if (err || !user) {
+        callback(err, null);
+        return;
+      }
+      if (fromSqliteDate(user.expires_at) <= new Date()) {
+        db.run('DELETE FROM auth_sessions WHERE id = ?', [user.auth_session_id]);
+        callback(null, null);
+        return;
+      }
+      callback(null, user);
+    }
+  );
+}
+
+// CSRF token'ı oturum token'ından türetilir ve saklanmaz. Panel onu okunabilir cookie'den
+// alıp başlıkta geri gönderir; başka bir site cookie'yi okuyamadığı için başlığı üretemez.
+function getCsrfToken(sessionToken) {
+  return crypto.createHmac('sha256', sessionToken).update('csrf').digest('hex');
+}
+
+function setCsrfCookie(res, sessionToken, expiresAt) {
+  res.cookie(CSRF_COOKIE, getCsrfToken(sessionToken), {
+    sameSite: 'strict',
+    secure: NODE_ENV === 'production',
+    expires: expiresAt
+  });
+}
+
+function isValidCsrfToken(req) {
+  const expected = Buffer.from(getCsrfToken(parseCookies(req)[AUTH_COOKIE]));
+  const received = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Yönetim API'leri giriş gerektirir; kullanıcı req.user olarak yüklenir.
+// Durum değiştiren isteklerde CSRF token'ı da doğrulanır.
+const requireAuth = (req, res, next) => {
+  findAuthenticatedUser(req, (err, user) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!user) {
+      res.status(401).json({ error: 'Giriş yapmanız gerekiyor', code: 'AUTH_REQUIRED' });
+      return;
+    }
+    if (!SAFE_METHODS.includes(req.method) && !isValidCsrfToken(req)) {
+      logRejection(req, 'csrf', { userId: user.id });
+      res.status(403).json({ error: 'Geçersiz veya eksik CSRF token', code: 'CSRF_INVALID' });
+      return;
+    }
+    req.user = user;
+    next();
+  });
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user.is_admin) {
+    res.status(403).json({ error: 'Bu işlem için yönetici yetkisi gerekli', code: 'FORBIDDEN' });
+    return;
   }
-  
   next();
 };
 
+// Linkin giriş yapan kullanıcıya ait olduğunu doğrular (yöneticiler tüm linklere erişir).
+// Başkasına ait linkler, varlıkları belli olmasın diye bulunamadı olarak döner.
+// requireAuth'tan sonra çalışır; link req.link olarak yüklenir.
+const requireLinkOwner = (req, res, next) => {
+  const trackingId = req.params.trackingId || req.params.id || req.body.trackingId;
+
+  db.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId], (err, link) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!link || (!req.user.is_admin && link.owner_id !== req.user.id)) {
+      res.status(404).json({ error: 'Link bulunamadı', code: 'LINK_NOT_FOUND' });
+      return;
+    }
+    req.link = link;
+    next();
+  });
+};
+
+// Yönetim sayfaları giriş yapılmamışsa giriş sayfasına yönlendirir. CSRF cookie'si her
+// sayfa açılışında yenilenir; böylece cookie'den önce açılmış oturumlar da onu alır.
+const requirePageAuth = (req, res, next) => {
+  findAuthenticatedUser(req, (err, user) => {
+    if (err || !user) {
+      res.redirect('/login');
+      return;
+    }
+    setCsrfCookie(res, parseCookies(req)[AUTH_COOKIE], fromSqliteDate(user.expires_at));
+    next();
+  });
+};
+
+// Her isteğe kimlik verilir (X-Request-Id; istemci geçerli bir kimlik gönderdiyse o kullanılır).
+// req.log ile yazılan kayıtlar requestId taşır; tamamlanan istekler debug, 5xx yanıtlar error
+// seviyesinde loglanır.
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = /^[A-Za-z0-9-]{8,64}$/.test(incoming || '') ? incoming : uuidv4();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    req.log[res.statusCode >= 500 ? 'error' : 'debug']('İstek tamamlandı', {
+      method: req.method,
+      path: redactPath(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  next();
+});
+
 // Middleware
-app.use(cors());
+app.use(cors((req, callback) => callback(null, { origin: isAllowedOrigin(req) })));
 app.use(bodyParser.json());
+app.use('/api', originGuard, readLimiter, writeLimiter);
+app.use(['/admin.html', '/test.html'], requirePageAuth);
 app.use(express.static('public'));
 
 // Database setup
-const db = new sqlite3.Database('locations.db');
+const DB_PATH = process.env.DB_PATH || 'locations.db';
+const db = new sqlite3.Database(DB_PATH);
+db.configure('busyTimeout', BUSY_TIMEOUT);
+// Çok adımlı yazmalar (konum kaydı, yeniden şifreleme, silme) ayrı bağlantıda sırayla çalışır
+const { runTransaction, connection: transactionConnection } = createTransactionRunner(DB_PATH);
+
+// Mevcut veritabanlarına yeni kolon ekle (kolon zaten varsa hata yok sayılır)
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column/i.test(err.message)) {
+      logger.error('Kolon eklenemedi', { table, column, error: err });
+    }
+  });
+}
+
+// Şema oluşturulup eski kayıtlar taşındığında çözülür
+let markDbReady;
+const dbReady = new Promise(resolve => {
+  markDbReady = resolve;
+});
 
 // Create tables
 db.serialize(() => {
@@ -112,7 +950,7 @@ db.serialize(() => {
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
     user_agent TEXT,
     ip_address TEXT,
-    consent_given BOOLEAN DEFAULT 1,
+    consent_given BOOLEAN DEFAULT 0,
     session_id TEXT,
     battery_level REAL,
     network_type TEXT,
@@ -174,237 +1012,2535 @@ db.serialize(() => {
     last_login DATETIME,
     is_admin BOOLEAN DEFAULT 0
   )`);
-});
+
+  db.run(`CREATE TABLE IF NOT EXISTS auth_sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS room_tokens (
+    id TEXT PRIMARY KEY,
+    token_hash TEXT UNIQUE,
+    tracking_id TEXT,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS room_join_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracking_id TEXT,
+    user_id INTEGER,
+    room_token_id TEXT,
+    socket_id TEXT,
+    ip_address TEXT,
+    granted BOOLEAN,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS access_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracking_id TEXT,
+    session_id TEXT,
+    actor_type TEXT,
+    user_id INTEGER,
+    actor TEXT,
+    action TEXT,
+    point_count INTEGER,
+    ip_address TEXT,
+    accessed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id),
+    FOREIGN KEY (session_id) REFERENCES tracking_sessions (id)
+  )`);
+
+  // Erişim kayıtlarına yalnızca ekleme yapılabilir; silme veritabanında engellenir. Güncelleme
+  // yalnızca kişisel veriyi (IP adresi, session) boşaltmak için yapılabilir: kalıcı silme ve
+  // silme talebi kaydın kendisini değil, paylaşan kişiye ait alanları temizler.
+  db.run('DROP TRIGGER IF EXISTS access_audit_no_update');
+  db.run(`CREATE TRIGGER IF NOT EXISTS access_audit_anonymize_only BEFORE UPDATE ON access_audit 
+    WHEN NOT (NEW.id IS OLD.id AND NEW.tracking_id IS OLD.tracking_id AND NEW.actor_type IS OLD.actor_type 
+      AND NEW.user_id IS OLD.user_id AND NEW.actor IS OLD.actor AND NEW.action IS OLD.action 
+      AND NEW.point_count IS OLD.point_count AND NEW.accessed_at IS OLD.accessed_at 
+      AND (NEW.ip_address IS NULL OR NEW.ip_address IS OLD.ip_address) 
+      AND (NEW.session_id IS NULL OR NEW.session_id IS OLD.session_id)) 
+    BEGIN SELECT RAISE(ABORT, 'access_audit yalnızca eklenebilir'); END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS access_audit_no_delete BEFORE DELETE ON access_audit 
+    BEGIN SELECT RAISE(ABORT, 'access_audit yalnızca eklenebilir'); END`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS purge_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracking_id TEXT,
+    retention_days INTEGER,
+    deleted_locations INTEGER,
+    deleted_sessions INTEGER,
+    deleted_notifications INTEGER,
+    purged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS erasure_requests (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    scope TEXT,
+    deleted_locations INTEGER,
+    requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES tracking_sessions (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS viewer_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracking_id TEXT,
+    socket_id TEXT,
+    event TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS consent_records (
+    id TEXT PRIMARY KEY,
+    tracking_id TEXT,
+    session_id TEXT,
+    consent_version TEXT,
+    consent_text TEXT,
+    given_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ip_address TEXT,
+    user_agent TEXT,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id),
+    FOREIGN KEY (session_id) REFERENCES tracking_sessions (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS abuse_reports (
+    id TEXT PRIMARY KEY,
+    tracking_id TEXT,
+    reason TEXT,
+    details TEXT,
+    reporter_hash TEXT,
+    status TEXT DEFAULT 'open',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME,
+    reviewed_by INTEGER,
+    FOREIGN KEY (tracking_id) REFERENCES tracking_links (id),
+    FOREIGN KEY (reviewed_by) REFERENCES users (id)
+  )`);
+
+  // Aynı kişi bir linki yalnızca bir kez bildirebilir
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_abuse_reports_reporter 
+    ON abuse_reports (tracking_id, reporter_hash)`);
+
+  // Kalıcı olarak silinen linklerin silme raporları. Link silindiği için yabancı anahtar yoktur;
+  // rapor yalnızca tablo başına silinen satır sayılarını içerir.
+  db.run(`CREATE TABLE IF NOT EXISTS deletion_reports (
+    id TEXT PRIMARY KEY,
+    tracking_id TEXT,
+    link_name TEXT,
+    deleted_by INTEGER,
+    report TEXT,
+    deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (deleted_by) REFERENCES users (id)
+  )`);
+
+  addColumnIfMissing('tracking_links', 'requester_name', 'TEXT');
+  addColumnIfMissing('tracking_links', 'purpose', 'TEXT');
+  addColumnIfMissing('location_data', 'consent_id', 'TEXT');
+  addColumnIfMissing('location_data', 'client_timestamp', 'INTEGER');
+  addColumnIfMissing('location_data', 'key_id', 'TEXT');
+  addColumnIfMissing('location_data', 'ciphertext', 'TEXT');
+  addColumnIfMissing('tracking_sessions', 'expires_at', 'DATETIME');
+  addColumnIfMissing('tracking_sessions', 'ended_at', 'DATETIME');
+  addColumnIfMissing('tracking_sessions', 'end_reason', 'TEXT');
+  addColumnIfMissing('tracking_sessions', 'revocation_token_hash', 'TEXT');
+  addColumnIfMissing('consent_records', 'withdrawn_at', 'DATETIME');
+  addColumnIfMissing('consent_records', 'kind', "TEXT DEFAULT 'initial'");
+  addColumnIfMissing('tracking_links', 'reconsent_interval', 'INTEGER DEFAULT 240');
+  addColumnIfMissing('tracking_sessions', 'reconsent_due_at', 'DATETIME');
+  addColumnIfMissing('tracking_sessions', 'reconsent_requested_at', 'DATETIME');
+  addColumnIfMissing('tracking_sessions', 'paused_at', 'DATETIME');
+  addColumnIfMissing('tracking_sessions', 'pause_reason', 'TEXT');
+  addColumnIfMissing('tracking_sessions', 'pause_until', 'DATETIME');
+  addColumnIfMissing('tracking_sessions', 'resumed_at', 'DATETIME');
+  addColumnIfMissing('tracking_links', 'retention_days', 'INTEGER');
+  addColumnIfMissing('tracking_links', 'collection_profile', 'TEXT');
+  addColumnIfMissing('tracking_links', 'owner_id', 'INTEGER');
+  addColumnIfMissing('tracking_links', 'link_token_version', 'INTEGER DEFAULT 1');
+  addColumnIfMissing('tracking_links', 'link_token_expires_at', 'DATETIME');
+  addColumnIfMissing('tracking_links', 'link_token_revoked_at', 'DATETIME');
+  addColumnIfMissing('tracking_links', 'claim_key_hash', 'TEXT');
+  addColumnIfMissing('tracking_links', 'claimed_at', 'DATETIME');
+  addColumnIfMissing('tracking_links', 'disabled_at', 'DATETIME');
+  addColumnIfMissing('tracking_links', 'disabled_reason', 'TEXT');
+  addColumnIfMissing('tracking_links', 'encryption_key_version', 'INTEGER DEFAULT 1');
+  addColumnIfMissing('tracking_links', 'e2e', 'BOOLEAN DEFAULT 0');
+  addColumnIfMissing('purge_reports', 'deleted_consent_records', 'INTEGER');
+  addColumnIfMissing('purge_reports', 'deleted_viewer_events', 'INTEGER');
+  addColumnIfMissing('purge_reports', 'deleted_erasure_requests', 'INTEGER');
+
+  // Aynı session'da aynı istemci zamanına sahip konum bir kez kaydedilir (NULL'lar tekrar sayılmaz)
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_location_data_session_client_ts 
+    ON location_data (session_id, client_timestamp)`);
+
+  // Eski session'lara linkin max_duration değerinden bitiş zamanı ata
+  db.run(`UPDATE tracking_sessions SET expires_at = datetime(started_at, '+' || 
+    COALESCE((SELECT max_duration FROM tracking_links WHERE id = tracking_sessions.tracking_id), 1440) || ' minutes') 
+    WHERE expires_at IS NULL`);
+
+  // Eski linklere imzalı URL için bitiş zamanı ata; yeni URL'leri /api/links ile alınır
+  db.run(`UPDATE tracking_links SET link_token_expires_at = datetime('now', '+${LINK_TOKEN_TTL} hours') 
+    WHERE link_token_expires_at IS NULL`);
+  db.get('SELECT 1', () => markDbReady());
+
+  // Şifrelenmemiş eski satırları ve eski ana anahtarla şifrelenmiş satırları güncel anahtara taşı
+  reencryptLocations(null, (err, result) => {
+    if (err) {
+      logger.error('Konum verileri yeniden şifrelenemedi', { error: err });
+    } else if (result.reencrypted > 0 || result.skipped > 0) {
+      logger.info('Konum kayıtları güncel anahtarla şifrelendi', result);
+    }
+  });
+
+  ensureAdminUser();
+});
+
+// İlk yönetici hesabı ADMIN_EMAIL ve ADMIN_PASSWORD ortam değişkenlerinden oluşturulur
+function ensureAdminUser() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    db.get('SELECT COUNT(*) AS count FROM users', (err, row) => {
+      if (!err && row.count === 0) {
+        logger.warn('Henüz kullanıcı yok: yönetici hesabı için ADMIN_EMAIL ve ADMIN_PASSWORD tanımlayın');
+      }
+    });
+    return;
+  }
+
+  const email = ADMIN_EMAIL.trim().toLowerCase();
+  db.get('SELECT id FROM users WHERE email = ?', [email], (err, user) => {
+    if (err || user) {
+      return;
+    }
+    bcrypt.hash(ADMIN_PASSWORD, 12, (err, passwordHash) => {
+      if (err) {
+        logger.error('Yönetici hesabı oluşturulamadı', { error: err });
+        return;
+      }
+      db.run('INSERT INTO users (email, password_hash, name, is_admin) VALUES (?, ?, ?, 1)', 
+        [email, passwordHash, 'Yönetici'], 
+        (err) => {
+          if (err) {
+            logger.error('Yönetici hesabı oluşturulamadı', { error: err });
+            return;
+          }
+          logger.info('Yönetici hesabı oluşturuldu', { email });
+        }
+      );
+    });
+  });
+}
+
+// Konum verisinin her okunmasını erişim kaydına yaz. Okunan noktalar session başına
+// sayılır ve her session için ayrı satır yazılır; böylece paylaşan kişi kendi
+// session'ına ait okumaları görebilir. Hiç nokta okunmadıysa session'sız tek satır yazılır.
+// access: { trackingId, action, actorType: 'user' | 'sharer', userId, actor, ipAddress }
+// sessionCounts: [{ sessionId, pointCount }]
+function recordLocationAccess(access, sessionCounts) {
+  const entries = sessionCounts.length > 0 ? sessionCounts : [{ sessionId: null, pointCount: 0 }];
+  const placeholders = entries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+  const params = [];
+  entries.forEach(entry => {
+    params.push(access.trackingId, entry.sessionId, access.actorType, access.userId || null,
+      access.actor || null, access.action, entry.pointCount, access.ipAddress || null);
+  });
+
+  db.run(`INSERT INTO access_audit 
+    (tracking_id, session_id, actor_type, user_id, actor, action, point_count, ip_address) 
+    VALUES ${placeholders}`, 
+    params, 
+    (err) => {
+      if (err) {
+        logger.error('Erişim kaydı yazılamadı', { trackingId: access.trackingId, error: err });
+      }
+    }
+  );
+}
+
+// Giriş yapmış kullanıcının link verisini okuması
+function userAccess(req, action) {
+  return {
+    trackingId: req.link.id,
+    action,
+    actorType: 'user',
+    userId: req.user.id,
+    actor: req.user.email,
+    ipAddress: getClientIp(req)
+  };
+}
+
+// location_data satırlarını session başına nokta sayısına çevir
+function countPointsBySession(rows) {
+  const counts = new Map();
+  rows.forEach(row => {
+    counts.set(row.session_id, (counts.get(row.session_id) || 0) + 1);
+  });
+  return Array.from(counts, ([sessionId, pointCount]) => ({ sessionId, pointCount }));
+}
 
 // Socket.IO connections
 const activeConnections = new Map();
 
+// Paylaşan kişinin takip sayfasının katıldığı oda. Link sahibinin izleme odasından
+// (trackingId) ayrıdır; böylece paylaşan kişi izleyici olarak sayılmaz.
+function sharerRoom(trackingId) {
+  return `sharer:${trackingId}`;
+}
+
+// Session olaylarını hem izleyicilere hem paylaşan kişiye gönder
+function emitToLink(trackingId, event, data) {
+  io.to([trackingId, sharerRoom(trackingId)]).emit(event, data);
+}
+
+// İzleme odasındaki izleyici sayısını ve katılma zamanlarını paylaşan kişiye gönder
+function broadcastViewerPresence(trackingId) {
+  io.in(trackingId).fetchSockets().then(sockets => {
+    const viewers = sockets.map(viewer => ({ joinedAt: viewer.data.joinedAt[trackingId] }));
+    io.to(sharerRoom(trackingId)).emit('viewer-presence', {
+      trackingId,
+      count: viewers.length,
+      viewers
+    });
+  }).catch(err => {
+    logger.error('Room client listesi alınamadı', { trackingId, error: err });
+  });
+}
+
+// İzleyici katılma/ayrılma olayını kaydet ve paylaşan kişiye bildir
+function recordViewerEvent(socket, trackingId, event) {
+  db.run('INSERT INTO viewer_events (tracking_id, socket_id, event) VALUES (?, ?, ?)', 
+    [trackingId, socket.id, event], 
+    (err) => {
+      if (err) {
+        logger.error('İzleyici olayı kaydedilemedi', { trackingId, error: err });
+      }
+    }
+  );
+  broadcastViewerPresence(trackingId);
+}
+
+// İzleme odasına katılma reddedildiğinde izleyiciye gönderilen hatalar
+const ROOM_JOIN_ERRORS = {
+  INVALID_ROOM_TOKEN: 'Geçersiz izleme token\'ı',
+  ROOM_TOKEN_EXPIRED: 'İzleme token\'ının süresi dolmuş',
+  ROOM_TOKEN_REVOKED: 'İzleme token\'ı geri çekilmiş',
+  LINK_INACTIVE: 'Link devre dışı'
+};
+
+// İzleme odası token'ını doğrula. Token yalnızca verildiği link için, süresi
+// dolmadan, geri çekilmeden ve link aktifken geçerlidir.
+// callback(err, roomToken, reason): reason doluysa katılma reddedilir
+function verifyRoomToken(trackingId, token, callback) {
+  if (typeof token !== 'string' || !token) {
+    callback(null, null, 'INVALID_ROOM_TOKEN');
+    return;
+  }
+
+  db.get(`SELECT t.*, l.active AS link_active, u.email AS user_email 
+    FROM room_tokens t 
+    JOIN tracking_links l ON l.id = t.tracking_id 
+    LEFT JOIN users u ON u.id = t.user_id 
+    WHERE t.token_hash = ?`, 
+    [hashToken(token)], 
+    (err, roomToken) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      if (!roomToken || roomToken.tracking_id !== trackingId) {
+        callback(null, null, 'INVALID_ROOM_TOKEN');
+      } else if (roomToken.revoked_at) {
+        callback(null, roomToken, 'ROOM_TOKEN_REVOKED');
+      } else if (fromSqliteDate(roomToken.expires_at) <= new Date()) {
+        callback(null, roomToken, 'ROOM_TOKEN_EXPIRED');
+      } else if (!roomToken.link_active) {
+        callback(null, roomToken, 'LINK_INACTIVE');
+      } else {
+        callback(null, roomToken, null);
+      }
+    }
+  );
+}
+
+// İzleme odasına her katılma denemesini, reddedilenler dahil kaydet
+function recordRoomJoin(socket, trackingId, roomToken, reason) {
+  db.run(`INSERT INTO room_join_audit 
+    (tracking_id, user_id, room_token_id, socket_id, ip_address, granted, reason) 
+    VALUES (?, ?, ?, ?, ?, ?, ?)`, 
+    [
+      typeof trackingId === 'string' ? trackingId : null,
+      roomToken ? roomToken.user_id : null,
+      roomToken ? roomToken.id : null,
+      socket.id,
+      getClientIp(socket.request),
+      reason ? 0 : 1,
+      reason
+    ], 
+    (err) => {
+      if (err) {
+        logger.error('Oda katılma kaydı yazılamadı', { trackingId, error: err });
+      }
+    }
+  );
+}
+
+function leaveTrackingRoom(socket, trackingId) {
+  socket.leave(trackingId);
+  activeConnections.delete(socket.id);
+  delete socket.data.joinedAt[trackingId];
+  delete socket.data.roomTokens[trackingId];
+  recordViewerEvent(socket, trackingId, 'leave');
+}
+
+// İzleme odasındaki soketleri odadan çıkar ve tracking-closed olayı gönder.
+// roomTokenId verilirse yalnızca o token ile katılan soketler çıkarılır.
+function dropRoomSockets(trackingId, roomTokenId, reason) {
+  const socketIds = io.sockets.adapter.rooms.get(trackingId) || new Set();
+  Array.from(socketIds)
+    .map(socketId => io.sockets.sockets.get(socketId))
+    .filter(viewer => viewer && (!roomTokenId || viewer.data.roomTokens[trackingId] === roomTokenId))
+    .forEach(viewer => {
+      leaveTrackingRoom(viewer, trackingId);
+      viewer.emit('tracking-closed', { trackingId, reason });
+      logger.info('Socket izleme odasından çıkarıldı', { socketId: viewer.id, trackingId, reason });
+    });
+}
+
+// Koşula uyan izleme odası token'larını geri çek ve bu token'larla katılan
+// soketleri odadan çıkar. reason: 'token-revoked' | 'link-deactivated' | 'logout'
+function revokeRoomTokens(condition, params, reason, callback = () => {}) {
+  db.all(`SELECT id, tracking_id FROM room_tokens WHERE revoked_at IS NULL AND ${condition}`, params, (err, tokens) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    db.run(`UPDATE room_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE revoked_at IS NULL AND ${condition}`, 
+      params, 
+      (err) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+        tokens.forEach(token => dropRoomSockets(token.tracking_id, token.id, reason));
+        callback(null, tokens.length);
+      }
+    );
+  });
+}
+
 io.on('connection', (socket) => {
-  console.log('🔌 Yeni Socket.IO bağlantısı:', socket.id);
+  logger.debug('Yeni Socket.IO bağlantısı', { socketId: socket.id });
+  socket.data.joinedAt = {};
+  socket.data.roomTokens = {};
+
+  // İzleyici, link sahibine verilen kısa ömürlü token ile izleme odasına katılır
+  socket.on('join-tracking', (payload) => {
+    const { trackingId, token } = payload || {};
+
+    verifyRoomToken(trackingId, token, (err, roomToken, reason) => {
+      if (err) {
+        logger.error('İzleme token\'ı doğrulanamadı', { socketId: socket.id, trackingId, error: err });
+        socket.emit('tracking-error', { trackingId, error: 'Sunucu hatası', code: 'SERVER_ERROR' });
+        return;
+      }
+
+      recordRoomJoin(socket, trackingId, roomToken, reason);
+      if (reason) {
+        logger.info('Socket izleme odasına katılamadı', { socketId: socket.id, trackingId, reason });
+        socket.emit('tracking-error', { trackingId, error: ROOM_JOIN_ERRORS[reason], code: reason });
+        return;
+      }
+
+      socket.join(trackingId);
+      activeConnections.set(socket.id, trackingId);
+      socket.data.joinedAt[trackingId] = new Date().toISOString();
+      socket.data.roomTokens[trackingId] = roomToken.id;
+      logger.info('Socket izleme odasına katıldı', { socketId: socket.id, trackingId });
+      
+      // Bağlantı onayı gönder
+      socket.emit('tracking-joined', { trackingId, message: 'Tracking room\'a katıldınız' });
+      
+      recordViewerEvent(socket, trackingId, 'join');
+
+      // Canlı izleme, linkin aktif session'larının konumlarına erişim sayılır
+      db.all('SELECT id FROM tracking_sessions WHERE tracking_id = ? AND is_active = 1', [trackingId], (err, sessions) => {
+        if (err) {
+          logger.error('Aktif session\'lar alınamadı', { trackingId, error: err });
+          return;
+        }
+        recordLocationAccess({
+          trackingId,
+          action: 'live-join',
+          actorType: 'user',
+          userId: roomToken.user_id,
+          actor: roomToken.user_email,
+          ipAddress: getClientIp(socket.request)
+        }, sessions.map(session => ({ sessionId: session.id, pointCount: 0 })));
+      });
+    });
+  });
+
+  socket.on('leave-tracking', (trackingId) => {
+    if (!socket.rooms.has(trackingId)) {
+      return;
+    }
+    leaveTrackingRoom(socket, trackingId);
+    logger.info('Socket izleme odasından ayrıldı', { socketId: socket.id, trackingId });
+    
+    // Ayrılma onayı gönder
+    socket.emit('tracking-left', { trackingId, message: 'Tracking room\'dan ayrıldınız' });
+  });
+
+  // Paylaşan kişinin takip sayfası, geri çekme token'ı ile kendi odasına katılır
+  socket.on('join-sharing', (token) => {
+    findSessionByRevocationToken(token, (err, session) => {
+      if (err || !session) {
+        socket.emit('sharing-error', { error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+        return;
+      }
+      socket.join(sharerRoom(session.tracking_id));
+      broadcastViewerPresence(session.tracking_id);
+    });
+  });
+
+  socket.on('disconnect', () => {
+    const trackingId = activeConnections.get(socket.id);
+    if (trackingId) {
+      activeConnections.delete(socket.id);
+      logger.info('Socket izleme odasından ayrıldı', { socketId: socket.id, trackingId, reason: 'disconnect' });
+      recordViewerEvent(socket, trackingId, 'leave');
+    }
+    logger.debug('Socket bağlantısı kesildi', { socketId: socket.id });
+  });
+
+  // Hata yakalama
+  socket.on('error', (error) => {
+    logger.error('Socket.IO hatası', { socketId: socket.id, error });
+  });
+});
+
+// Routes
+
+// Ana sayfa - Admin paneli
+app.get('/', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Kayıtlı olmayan e-posta ile giriş denemesi de şifre karşılaştırması kadar sürsün
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 12);
+
+// Yönetim paneline giriş: oturum sunucuda tutulur, tarayıcıya yalnızca HttpOnly cookie verilir
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    res.status(400).json({ error: 'E-posta ve şifre gerekli' });
+    return;
+  }
+
+  db.get('SELECT * FROM users WHERE email = ?', [String(email).trim().toLowerCase()], (err, user) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    bcrypt.compare(String(password), user ? user.password_hash : DUMMY_PASSWORD_HASH, (err, matches) => {
+      if (err || !user || !matches) {
+        res.status(401).json({ error: 'E-posta veya şifre hatalı', code: 'INVALID_CREDENTIALS' });
+        return;
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + AUTH_SESSION_TTL * 60 * 60 * 1000);
+
+      db.run('INSERT INTO auth_sessions (id, user_id, expires_at) VALUES (?, ?, ?)', 
+        [hashToken(token), user.id, toSqliteDate(expiresAt)], 
+        (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          db.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+          res.cookie(AUTH_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: NODE_ENV === 'production',
+            expires: expiresAt
+          });
+          setCsrfCookie(res, token, expiresAt);
+          res.json({ 
+            success: true, 
+            user: { id: user.id, email: user.email, name: user.name, isAdmin: !!user.is_admin } 
+          });
+        }
+      );
+    });
+  });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = parseCookies(req)[AUTH_COOKIE];
+
+  const finish = () => {
+    res.clearCookie(AUTH_COOKIE);
+    res.clearCookie(CSRF_COOKIE);
+    res.json({ success: true });
+  };
+
+  if (!token) {
+    finish();
+    return;
+  }
+  // Başka bir siteden tetiklenen çıkış oturumu kapatamaz
+  if (!isValidCsrfToken(req)) {
+    logRejection(req, 'csrf');
+    res.status(403).json({ error: 'Geçersiz veya eksik CSRF token', code: 'CSRF_INVALID' });
+    return;
+  }
+  findAuthenticatedUser(req, (err, user) => {
+    db.run('DELETE FROM auth_sessions WHERE id = ?', [hashToken(token)], () => {
+      // Çıkış yapan kullanıcının izleme odası token'ları da geçersiz olur
+      if (user) {
+        revokeRoomTokens('user_id = ?', [user.id], 'logout');
+      }
+      finish();
+    });
+  });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  const { id, email, name, is_admin } = req.user;
+  res.json({ id, email, name, isAdmin: !!is_admin });
+});
+
+// Yönetici yeni kullanıcı hesabı oluşturur
+app.post('/api/users', requireAuth, requireAdmin, (req, res) => {
+  const { email, password, name, isAdmin = false } = req.body;
+
+  if (!email || !password) {
+    res.status(400).json({ error: 'E-posta ve şifre gerekli' });
+    return;
+  }
+  if (String(password).length < 8) {
+    res.status(400).json({ error: 'Şifre en az 8 karakter olmalı', code: 'WEAK_PASSWORD' });
+    return;
+  }
+
+  bcrypt.hash(String(password), 12, (err, passwordHash) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    db.run('INSERT INTO users (email, password_hash, name, is_admin) VALUES (?, ?, ?, ?)', 
+      [String(email).trim().toLowerCase(), passwordHash, name, isAdmin === true ? 1 : 0], 
+      function(err) {
+        if (err && err.message.includes('UNIQUE')) {
+          res.status(409).json({ error: 'Bu e-posta ile kayıtlı kullanıcı var', code: 'EMAIL_TAKEN' });
+          return;
+        }
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json({ success: true, id: this.lastID });
+      }
+    );
+  });
+});
+
+// Yeni tracking link oluştur
+app.post('/api/create-link', requireAuth, linkCreationLimiter, (req, res) => {
+  const { name, requesterName, purpose, trackingInterval = 30, maxDuration = 1440, reconsentInterval = 240, retentionDays, collectionProfile, 
+    linkValidHours, e2e = false } = req.body;
+  
+  // Rıza ekranında gösterilecek bilgiler zorunlu
+  if (!requesterName || !purpose) {
+    res.status(400).json({ error: 'Talep eden kişi ve amaç belirtilmelidir' });
+    return;
+  }
+
+  if (retentionDays !== undefined && retentionDays !== null &&
+    (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_DATA_RETENTION_DAYS)) {
+    res.status(400).json({ 
+      error: `Saklama süresi 1 ile ${MAX_DATA_RETENTION_DAYS} gün arasında olmalı`, 
+      code: 'INVALID_RETENTION' 
+    });
+    return;
+  }
+
+  if (!Number.isInteger(trackingInterval) || trackingInterval < MIN_TRACKING_INTERVAL || trackingInterval > MAX_TRACKING_INTERVAL) {
+    res.status(400).json({ 
+      error: `Takip aralığı ${MIN_TRACKING_INTERVAL} ile ${MAX_TRACKING_INTERVAL} saniye arasında olmalı`, 
+      code: 'INVALID_TRACKING_INTERVAL' 
+    });
+    return;
+  }
+
+  if (!Number.isInteger(maxDuration) || maxDuration < 1 || maxDuration > MAX_SHARING_DURATION) {
+    res.status(400).json({ 
+      error: `Maksimum süre 1 ile ${MAX_SHARING_DURATION} dakika arasında olmalı`, 
+      code: 'INVALID_MAX_DURATION' 
+    });
+    return;
+  }
+
+  // 0 yeniden onayı kapatır
+  if (!Number.isInteger(reconsentInterval) || reconsentInterval < 0 || reconsentInterval > MAX_SHARING_DURATION) {
+    res.status(400).json({ 
+      error: `Yeniden onay aralığı 0 ile ${MAX_SHARING_DURATION} dakika arasında olmalı`, 
+      code: 'INVALID_RECONSENT_INTERVAL' 
+    });
+    return;
+  }
+
+  const profile = normalizeCollectionProfile(collectionProfile);
+  if (!profile) {
+    res.status(400).json({ 
+      error: `Geçersiz konum hassasiyeti (${Object.keys(PRECISION_LEVELS).join(', ')})`, 
+      code: 'INVALID_COLLECTION_PROFILE' 
+    });
+    return;
+  }
+
+  const validHours = parseLinkValidHours(linkValidHours);
+  if (!validHours) {
+    res.status(400).json({ 
+      error: `Link geçerlilik süresi 1 ile ${MAX_LINK_TOKEN_TTL} saat arasında olmalı`, 
+      code: 'INVALID_LINK_TTL' 
+    });
+    return;
+  }
+
+  if (typeof e2e !== 'boolean') {
+    res.status(400).json({ error: 'e2e true veya false olmalı', code: 'INVALID_E2E' });
+    return;
+  }
+
+  const link = {
+    id: uuidv4(),
+    link_token_version: 1,
+    link_token_expires_at: toSqliteDate(new Date(Date.now() + validHours * 60 * 60 * 1000))
+  };
+  
+  db.run(`INSERT INTO tracking_links 
+    (id, name, requester_name, purpose, tracking_interval, max_duration, reconsent_interval, retention_days, collection_profile, 
+      owner_id, owner_email, link_token_version, link_token_expires_at, e2e) 
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, 
+    [link.id, name, requesterName, purpose, trackingInterval, maxDuration, reconsentInterval, retentionDays || null, 
+      JSON.stringify(profile), req.user.id, req.user.email, link.link_token_version, link.link_token_expires_at, e2e ? 1 : 0], 
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      const trackingUrl = getTrackingUrl(req, link);
+      
+      // Uçtan uca şifreli linkin anahtarını yönetim paneli URL'in fragment'ına ekler;
+      // sunucu anahtarı hiç görmediği için QR kodu üretemez
+      res.json({ 
+        trackingId: link.id, 
+        trackingUrl,
+        linkExpiresAt: fromSqliteDate(link.link_token_expires_at).toISOString(),
+        e2e,
+        qrCode: e2e ? null : `/api/qr/${link.id}?format=png&size=200`
+      });
+    }
+  );
+});
+
+// Tracking link sayfası
+app.get('/track/:id', (req, res) => {
+  const trackingId = req.params.id;
+  
+  db.get('SELECT * FROM tracking_links WHERE id = ? AND active = 1', 
+    [trackingId], 
+    (err, row) => {
+      if (err || !row) {
+        res.status(404).send('Link bulunamadı');
+        return;
+      }
+      res.sendFile(path.join(__dirname, 'public', 'track.html'));
+    }
+  );
+});
+
+// Rıza metnini getir
+app.get('/api/consent/:trackingId', (req, res) => {
+  const trackingId = req.params.trackingId;
+  
+  db.get('SELECT * FROM tracking_links WHERE id = ? AND active = 1', 
+    [trackingId], 
+    (err, link) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (!link) {
+        res.status(404).json({ error: 'Link bulunamadı' });
+        return;
+      }
+      const tokenError = verifyLinkToken(link, req.query.t);
+      if (tokenError) {
+        res.status(tokenError.status).json({ error: tokenError.message, code: tokenError.code });
+        return;
+      }
+      // Link bir cihaza bağlandıysa takip sayfası, cihaz anahtarı yoksa rıza ekranını göstermez
+      res.json({ ...buildConsentNotice(link), claimed: !!link.claim_key_hash });
+    }
+  );
+});
+
+// Linkin yeniden onay aralığına göre bir sonraki onay zamanı (aralık yoksa null)
+function getReconsentDueAt(link, from) {
+  if (!(link.reconsent_interval > 0)) {
+    return null;
+  }
+  return new Date(from.getTime() + link.reconsent_interval * 60 * 1000);
+}
+
+// Yeniden onay istenmiş ve cevap süresi dolmuş mu
+function isReconsentOverdue(session, now = new Date()) {
+  if (!session.reconsent_due_at) {
+    return false;
+  }
+  const deadline = fromSqliteDate(session.reconsent_due_at).getTime() + RECONSENT_GRACE_PERIOD * 60 * 1000;
+  return deadline <= now.getTime();
+}
+
+// Rıza kaydına yazılacak IP adresi ve tarayıcı bilgisi; profil izin vermiyorsa saklanmaz
+function getConsentRequestInfo(req, profile) {
+  return {
+    ipAddress: profile.ipAddress ? getClientIp(req) : null,
+    userAgent: profile.userAgent ? req.get('user-agent') : null
+  };
+}
+
+// Link token'ını ve cihaz bağını doğrulayıp rıza kaydı ile birlikte yeni session oluştur
+function createConsentedSession(req, deviceInfo, callback) {
+  const { trackingId, consent } = req.body;
+
+  if (!consent || consent.accepted !== true) {
+    callback({ status: 403, code: 'CONSENT_REQUIRED', message: 'Konum paylaşımı için açık rıza gerekli' });
+    return;
+  }
+
+  db.get('SELECT * FROM tracking_links WHERE id = ? AND active = 1', [trackingId], (err, link) => {
+    if (err) {
+      callback({ status: 500, message: err.message });
+      return;
+    }
+    if (!link) {
+      callback({ status: 404, code: 'LINK_NOT_FOUND', message: 'Link bulunamadı' });
+      return;
+    }
+    const tokenError = verifyLinkToken(link, req.body.linkToken);
+    if (tokenError) {
+      callback(tokenError);
+      return;
+    }
+    if (consent.version !== CONSENT_VERSION) {
+      callback({ status: 409, code: 'CONSENT_VERSION_MISMATCH', message: 'Rıza metni güncellendi, lütfen tekrar onaylayın' });
+      return;
+    }
+
+    claimLink(link, req.body.deviceKey, (err, deviceKey) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      insertConsentedSession(req, link, deviceInfo, deviceKey, callback);
+    });
+  });
+}
+
+// Linki rızayı ilk veren cihaza bağla. Bağlanan cihaza verilen anahtar yalnızca hash
+// olarak saklanır; sonraki session'lar için aynı anahtar gönderilmelidir. Başka bir
+// cihaz (örneğin iletilen bir link kopyası) yeni session başlatamaz.
+// callback(err, deviceKey): deviceKey yalnızca link yeni bağlandığında döner
+function claimLink(link, deviceKey, callback) {
+  if (link.claim_key_hash) {
+    if (typeof deviceKey === 'string' && hashToken(deviceKey) === link.claim_key_hash) {
+      callback(null, null);
+      return;
+    }
+    callback({ status: 409, code: 'LINK_ALREADY_CLAIMED', message: 'Bu link başka bir cihazda kullanılıyor' });
+    return;
+  }
+
+  const newDeviceKey = crypto.randomBytes(24).toString('hex');
+  db.run(`UPDATE tracking_links SET claim_key_hash = ?, claimed_at = CURRENT_TIMESTAMP 
+    WHERE id = ? AND claim_key_hash IS NULL`, 
+    [hashToken(newDeviceKey), link.id], 
+    function(err) {
+      if (err) {
+        callback({ status: 500, message: err.message });
+        return;
+      }
+      // Aynı anda başka bir cihaz bağlandıysa
+      if (this.changes === 0) {
+        callback({ status: 409, code: 'LINK_ALREADY_CLAIMED', message: 'Bu link başka bir cihazda kullanılıyor' });
+        return;
+      }
+      callback(null, newDeviceKey);
+    }
+  );
+}
+
+// Rıza kaydı ile birlikte yeni session oluştur
+function insertConsentedSession(req, link, deviceInfo, deviceKey, callback) {
+  const trackingId = link.id;
+  const sessionId = uuidv4();
+  const consentId = uuidv4();
+  const notice = buildConsentNotice(link);
+  const profile = notice.collectionProfile;
+  const requestInfo = getConsentRequestInfo(req, profile);
+  const expiresAt = new Date(Date.now() + link.max_duration * 60 * 1000);
+  const reconsentDueAt = getReconsentDueAt(link, new Date());
+  const revocationToken = crypto.randomBytes(24).toString('hex');
+
+  db.run(`INSERT INTO tracking_sessions 
+    (id, tracking_id, device_info, expires_at, reconsent_due_at, revocation_token_hash) 
+    VALUES (?, ?, ?, ?, ?, ?)`, 
+    [sessionId, trackingId, deviceInfo && profile.device ? JSON.stringify(deviceInfo) : null, toSqliteDate(expiresAt), 
+      reconsentDueAt && toSqliteDate(reconsentDueAt), hashToken(revocationToken)], 
+    (err) => {
+      if (err) {
+        callback({ status: 500, message: err.message });
+        return;
+      }
+
+      db.run(`INSERT INTO consent_records 
+        (id, tracking_id, session_id, consent_version, consent_text, ip_address, user_agent) 
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [consentId, trackingId, sessionId, notice.version, notice.text, requestInfo.ipAddress, requestInfo.userAgent],
+        (err) => {
+          if (err) {
+            callback({ status: 500, message: err.message });
+            return;
+          }
+          callback(null, {
+            sessionId,
+            consentId,
+            expiresAt: expiresAt.toISOString(),
+            reconsentDueAt: reconsentDueAt && reconsentDueAt.toISOString(),
+            reconsentGracePeriod: RECONSENT_GRACE_PERIOD,
+            revocationToken,
+            revocationUrl: `${getBaseUrl(req)}/revoke/${revocationToken}`,
+            deviceKey
+          });
+        }
+      );
+    }
+  );
+}
+
+// Konum kabul eden tüm endpoint'lerin ortak kontrolü.
+// Session'ın linke ait olduğunu, link ve session'ın aktif, süresinin dolmamış ve
+// duraklatılmamış olduğunu ve rıza kaydının bulunduğunu doğrular; session'ı
+// req.trackingSession, rızayı req.consent olarak yükler. Bu hatalar kalıcıdır,
+// istemci reddedilen konumu tekrar denememelidir.
+const ingestionGuard = (req, res, next) => {
+  const { trackingId, sessionId } = req.body;
+
+  const reject = (status, code, error, details = {}) => {
+    res.status(status).json({ error, code, ...details });
+  };
+
+  if (!trackingId || !sessionId) {
+    reject(400, 'SESSION_REQUIRED', 'Tracking ID ve Session ID gerekli');
+    return;
+  }
+
+  db.get(`SELECT s.*, l.active AS link_active, l.collection_profile AS link_collection_profile, 
+      COALESCE(l.encryption_key_version, 1) AS link_key_version, l.e2e AS link_e2e 
+    FROM tracking_sessions s 
+    LEFT JOIN tracking_links l ON l.id = s.tracking_id 
+    WHERE s.id = ?`, 
+    [sessionId], 
+    (err, session) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (!session) {
+        reject(404, 'SESSION_NOT_FOUND', 'Session bulunamadı');
+        return;
+      }
+      if (session.tracking_id !== trackingId) {
+        reject(403, 'SESSION_LINK_MISMATCH', 'Session bu linke ait değil');
+        return;
+      }
+      if (!session.link_active) {
+        reject(410, 'LINK_INACTIVE', 'Link devre dışı');
+        return;
+      }
+      if (!session.is_active && session.end_reason === 'revoked') {
+        reject(410, 'SESSION_REVOKED', 'Paylaşım durduruldu ve rıza geri çekildi');
+        return;
+      }
+      if (!session.is_active) {
+        reject(410, 'SESSION_INACTIVE', 'Session sonlandırılmış');
+        return;
+      }
+      if (session.expires_at && fromSqliteDate(session.expires_at) <= new Date()) {
+        endSession(session.id, 'expired');
+        reject(410, 'SESSION_EXPIRED', 'Paylaşım süresi doldu');
+        return;
+      }
+      if (session.pause_reason === 'sharer' && session.pause_until && 
+        fromSqliteDate(session.pause_until) <= new Date()) {
+        resumeSession(session.id);
+        session.paused_at = null;
+      }
+      if (!session.paused_at && isReconsentOverdue(session)) {
+        pauseSession(session.id, 'reconsent');
+        session.paused_at = toSqliteDate(new Date());
+        session.pause_reason = 'reconsent';
+      }
+      if (session.paused_at) {
+        // İstemci nedene göre yeniden onay ister veya duraklatma ekranını gösterir
+        reject(409, 'SESSION_PAUSED', session.pause_reason === 'reconsent'
+          ? 'Paylaşım yeniden onay beklediği için duraklatıldı'
+          : 'Paylaşım duraklatıldı', {
+          reason: session.pause_reason,
+          pauseUntil: session.pause_until ? fromSqliteDate(session.pause_until).toISOString() : null
+        });
+        return;
+      }
+
+      db.get('SELECT * FROM consent_records WHERE session_id = ? ORDER BY given_at DESC LIMIT 1', 
+        [sessionId], 
+        (err, consent) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          if (!consent) {
+            reject(403, 'CONSENT_MISSING', 'Bu session için kayıtlı rıza yok');
+            return;
+          }
+          req.trackingSession = session;
+          req.consent = consent;
+          req.collectionProfile = parseCollectionProfile({ 
+            id: session.tracking_id, 
+            collection_profile: session.link_collection_profile 
+          });
+          next();
+        }
+      );
+    }
+  );
+};
+
+// Linkin toplama profilinin izin vermediği alanları at ve düşük hassasiyet
+// modunda koordinatları yuvarla. validateLocationData ve ingestionGuard'dan sonra çalışır.
+const applyCollectionProfile = (req, res, next) => {
+  const profile = req.collectionProfile;
+  const precision = PRECISION_LEVELS[profile.precision];
+  // IP adresi istemcinin gönderdiği değerden değil, istekten alınır
+  const ipAddress = profile.ipAddress ? getClientIp(req) : null;
+
+  req.locationBatch.locations.forEach(location => {
+    // Şifreli konumlarda hassasiyet takip sayfasında, şifrelemeden önce düşürülür
+    if (precision && !location.ciphertext) {
+      location.latitude = roundCoordinate(location.latitude, precision.decimals);
+      location.longitude = roundCoordinate(location.longitude, precision.decimals);
+      location.accuracy = Math.max(location.accuracy, precision.meters);
+    }
+    if (!profile.motion) {
+      location.speed = null;
+      location.heading = null;
+      location.altitude = null;
+    }
+    if (!profile.device) {
+      location.batteryLevel = null;
+      location.networkType = null;
+    }
+    location.ipAddress = ipAddress;
+    if (!profile.userAgent) {
+      location.userAgent = null;
+    }
+  });
+  next();
+};
+
+// Doğrulanmış konumları kaydet ve izleyicilere yayınla (lib/ingestion.js)
+const ingestLocations = createLocationIngestor({
+  db,
+  runTransaction,
+  encryptLocationFields,
+  toSqliteDate,
+  fromSqliteDate,
+  // Şifreli linklerde konum alanları boştur, izleyici ciphertext'i tarayıcıda çözer
+  onLocationsSaved: (session, locations) => {
+    locations.forEach(location => {
+      io.to(session.tracking_id).emit('location-update', {
+        sessionId: session.id,
+        ciphertext: location.ciphertext,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        speed: location.speed,
+        heading: location.heading,
+        altitude: location.altitude,
+        batteryLevel: location.batteryLevel,
+        networkType: location.networkType,
+        timestamp: location.recordedAt.toISOString()
+      });
+    });
+
+    // Paylaşan kişiye o an kaç kişinin izlediğini bildir
+    broadcastViewerPresence(session.tracking_id);
+  }
+});
+
+// Konum verisi kaydet
+app.post('/api/save-location', ingestionLimiter, ingestionSessionLimiter, validateLocationData, ingestionGuard, applyCollectionProfile, (req, res) => {
+  ingestLocations(req, res, 'Konum kaydedildi');
+});
+
+// Paylaşan kişi kendi tanımladığı özel bölgelerden birinde: konum yerine yalnızca
+// bu durum bildirilir. Bölgeler cihazda tutulur, sunucu nerede olduklarını bilmez.
+// Session'ın terk edilmiş sayılmaması için last_update güncellenir, konum kaydedilmez.
+app.post('/api/private-zone-status', tokenLimiter, ingestionGuard, (req, res) => {
+  const { trackingId, sessionId } = req.body;
+
+  db.run('UPDATE tracking_sessions SET last_update = CURRENT_TIMESTAMP WHERE id = ?', [sessionId], (err) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    io.to(trackingId).emit('location-private', {
+      sessionId,
+      timestamp: new Date().toISOString()
+    });
+    broadcastViewerPresence(trackingId);
+
+    res.json({ success: true });
+  });
+});
+
+// Yeni tracking session başlat
+app.post('/api/start-session', tokenLimiter, (req, res) => {
+  createConsentedSession(req, null, (err, result) => {
+    if (err) {
+      res.status(err.status).json({ error: err.message, code: err.code });
+      return;
+    }
+    res.json(result);
+  });
+});
+
+// Session'ı sonlandır ve link odasına session-ended olayı gönder.
+// reason: 'stopped' | 'expired' | 'abandoned' | 'revoked'
+function endSession(sessionId, reason, callback = () => {}) {
+  db.get('SELECT tracking_id FROM tracking_sessions WHERE id = ? AND is_active = 1', [sessionId], (err, session) => {
+    if (err || !session) {
+      callback(err, false);
+      return;
+    }
+
+    db.run(`UPDATE tracking_sessions 
+      SET is_active = 0, ended_at = CURRENT_TIMESTAMP, end_reason = ? 
+      WHERE id = ? AND is_active = 1`, 
+      [reason, sessionId], 
+      function(err) {
+        if (err) {
+          callback(err, false);
+          return;
+        }
+        if (this.changes > 0) {
+          emitToLink(session.tracking_id, 'session-ended', {
+            sessionId,
+            trackingId: session.tracking_id,
+            reason,
+            endedAt: new Date().toISOString()
+          });
+        }
+        callback(null, this.changes > 0);
+      }
+    );
+  });
+}
+
+// Session'ı kapatmadan duraklat ve session-paused olayı gönder. İzleyiciler yalnızca
+// duraklatıldığını görür; neden ve devam zamanı sadece paylaşan kişiye gönderilir.
+// reason: 'reconsent' | 'sharer'
+// pauseUntil: otomatik devam zamanı; yoksa paylaşan kişi devam ettirene kadar sürer
+function pauseSession(sessionId, reason, pauseUntil = null, callback = () => {}) {
+  db.get('SELECT tracking_id FROM tracking_sessions WHERE id = ? AND is_active = 1 AND paused_at IS NULL', [sessionId], (err, session) => {
+    if (err || !session) {
+      callback(err, false);
+      return;
+    }
+
+    db.run(`UPDATE tracking_sessions 
+      SET paused_at = CURRENT_TIMESTAMP, pause_reason = ?, pause_until = ? 
+      WHERE id = ? AND paused_at IS NULL`, 
+      [reason, pauseUntil && toSqliteDate(pauseUntil), sessionId], 
+      function(err) {
+        if (err) {
+          callback(err, false);
+          return;
+        }
+        if (this.changes > 0) {
+          const event = {
+            sessionId,
+            trackingId: session.tracking_id,
+            pausedAt: new Date().toISOString()
+          };
+          io.to(session.tracking_id).emit('session-paused', event);
+          io.to(sharerRoom(session.tracking_id)).emit('session-paused', {
+            ...event,
+            reason,
+            pauseUntil: pauseUntil && pauseUntil.toISOString()
+          });
+        }
+        callback(null, this.changes > 0);
+      }
+    );
+  });
+}
+
+// Paylaşan kişinin duraklattığı session'ı devam ettir ve link odasına session-resumed
+// olayı gönder. Duraklatma süresi terk edilme sayılmasın diye last_update de güncellenir.
+function resumeSession(sessionId, callback = () => {}) {
+  db.get('SELECT tracking_id FROM tracking_sessions WHERE id = ?', [sessionId], (err, session) => {
+    if (err || !session) {
+      callback(err, false);
+      return;
+    }
+
+    db.run(`UPDATE tracking_sessions 
+      SET paused_at = NULL, pause_reason = NULL, pause_until = NULL, 
+        resumed_at = CURRENT_TIMESTAMP, last_update = CURRENT_TIMESTAMP 
+      WHERE id = ? AND pause_reason = 'sharer'`, 
+      [sessionId], 
+      function(err) {
+        if (err) {
+          callback(err, false);
+          return;
+        }
+        if (this.changes > 0) {
+          emitToLink(session.tracking_id, 'session-resumed', {
+            sessionId,
+            trackingId: session.tracking_id,
+            resumedAt: new Date().toISOString()
+          });
+        }
+        callback(null, this.changes > 0);
+      }
+    );
+  });
+}
+
+// Session durdur
+app.post('/api/stop-session', tokenLimiter, (req, res) => {
+  const { sessionId } = req.body;
+  
+  endSession(sessionId, 'stopped', (err) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ success: true, message: 'Session durduruldu' });
+  });
+});
+
+// Rıza geri çekme sayfası (paylaşan kişi herhangi bir cihazdan açabilir)
+app.get('/revoke/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'revoke.html'));
+});
+
+// Geri çekme token'ına ait session'ı getir
+function findSessionByRevocationToken(token, callback) {
+  db.get(`SELECT s.*, l.name AS link_name, l.requester_name, l.e2e AS link_e2e, c.withdrawn_at 
+    FROM tracking_sessions s 
+    LEFT JOIN tracking_links l ON l.id = s.tracking_id 
+    LEFT JOIN consent_records c ON c.session_id = s.id AND c.kind = 'initial' 
+    WHERE s.revocation_token_hash = ?`, 
+    [hashToken(token || '')], 
+    callback
+  );
+}
+
+// Geri çekme token'ı ile session durumunu getir
+app.get('/api/revoke/:token', tokenLimiter, (req, res) => {
+  findSessionByRevocationToken(req.params.token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz geri çekme bağlantısı', code: 'INVALID_TOKEN' });
+      return;
+    }
+    res.json({
+      linkName: session.link_name,
+      requester: session.requester_name,
+      startedAt: session.started_at,
+      isActive: !!session.is_active,
+      endReason: session.end_reason,
+      withdrawnAt: session.withdrawn_at,
+      totalLocations: session.total_locations,
+      e2e: !!session.link_e2e
+    });
+  });
+});
+
+// Paylaşan kişi, session'ı sürerken linkin izleme odasına kimlerin ne zaman
+// katılıp ayrıldığını geri çekme token'ı ile görebilir
+app.get('/api/sharing/:token/viewers', tokenLimiter, (req, res) => {
+  findSessionByRevocationToken(req.params.token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+
+    db.all(`SELECT socket_id, event, created_at FROM viewer_events 
+      WHERE tracking_id = ? AND created_at >= ? AND created_at <= COALESCE(?, CURRENT_TIMESTAMP) 
+      ORDER BY created_at ASC`, 
+      [session.tracking_id, session.started_at, session.ended_at], 
+      (err, rows) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        // Soket kimliği paylaşılmaz; katılma ve ayrılma olayları aynı izleyici etiketiyle eşleşir
+        const labels = new Map();
+        const events = rows.map(row => {
+          if (!labels.has(row.socket_id)) {
+            labels.set(row.socket_id, `İzleyici ${labels.size + 1}`);
+          }
+          return { viewer: labels.get(row.socket_id), event: row.event, created_at: row.created_at };
+        });
+        res.json({ events, count: events.length });
+      }
+    );
+  });
+});
+
+// Paylaşan kişi, session'ına ait konum verilerinin kim tarafından, ne zaman ve
+// kaç nokta olarak okunduğunu geri çekme token'ı ile görebilir
+app.get('/api/sharing/:token/access-log', tokenLimiter, (req, res) => {
+  findSessionByRevocationToken(req.params.token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+
+    db.all(`SELECT actor_type, actor, action, point_count, accessed_at FROM access_audit 
+      WHERE session_id = ? ORDER BY accessed_at ASC, id ASC`, 
+      [session.id], 
+      (err, rows) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json({ entries: rows, count: rows.length });
+      }
+    );
+  });
+});
+
+// Paylaşan kişinin session'ı için tutulan tüm kayıtları topla
+function collectSessionData(session, callback) {
+  db.all('SELECT * FROM consent_records WHERE session_id = ? ORDER BY given_at ASC', [session.id], (err, consentRecords) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    db.all('SELECT * FROM location_data WHERE session_id = ? ORDER BY timestamp ASC', [session.id], (err, locations) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      decryptLocationRows(locations);
+      const { revocation_token_hash, link_name, requester_name, link_e2e, withdrawn_at, ...sessionRow } = session;
+      callback(null, {
+        exportedAt: new Date().toISOString(),
+        link: { name: link_name, requester: requester_name },
+        session: sessionRow,
+        consentRecords,
+        locations
+      });
+    });
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Session konumlarını GPX izi olarak oluştur
+function buildGpx(data) {
+  const points = data.locations.map(location => [
+    `      <trkpt lat="${location.latitude}" lon="${location.longitude}">`,
+    location.altitude ? `        <ele>${location.altitude}</ele>` : null,
+    `        <time>${fromSqliteDate(location.timestamp).toISOString()}</time>`,
+    '      </trkpt>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="legachecker" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(data.link.name || data.session.id)}</name>`,
+    `    <time>${data.exportedAt}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(data.session.id)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>'
+  ].join('\n');
+}
+
+// Paylaşan kişinin isteğiyle session verilerini sil ve silme kaydını oluştur.
+// locationIds verilmezse tüm konumlar silinir ve IP adresi, tarayıcı ve cihaz
+// bilgisi temizlenir; paylaşan kişinin kendi verisini indirirken erişim kaydına
+// yazılan IP adresi de boşaltılır. Rıza ve session kayıtları, rızanın ne zaman
+// verilip geri çekildiğinin kanıtı olarak kişisel veriler çıkarılmış halde saklanır.
+// Tüm adımlar tek transaction'dadır; biri başarısız olursa hiçbir şey silinmez.
+function eraseSessionData(sessionId, locationIds, callback) {
+  const eraseAll = !Array.isArray(locationIds);
+  let deleteQuery = 'DELETE FROM location_data WHERE session_id = ?';
+  const deleteParams = [sessionId];
+
+  if (!eraseAll) {
+    deleteQuery += ` AND id IN (${locationIds.map(() => '?').join(', ')})`;
+    deleteParams.push(...locationIds);
+  }
+
+  const erasure = {
+    confirmationId: uuidv4(),
+    sessionId,
+    scope: eraseAll ? 'all' : 'selected',
+    deleted: { locations: 0, consentPersonalData: 0, accessLogIpAddresses: 0 },
+    deletedAt: new Date().toISOString()
+  };
+
+  runTransaction((tx, done) => {
+    const scrub = (next) => {
+      if (!eraseAll) {
+        next();
+        return;
+      }
+      tx.run('UPDATE consent_records SET ip_address = NULL, user_agent = NULL WHERE session_id = ?', [sessionId], function(err) {
+        if (err) {
+          done(err);
+          return;
+        }
+        erasure.deleted.consentPersonalData = this.changes;
+        tx.run(`UPDATE access_audit SET ip_address = NULL 
+          WHERE session_id = ? AND actor_type = 'sharer' AND ip_address IS NOT NULL`, 
+          [sessionId], 
+          function(err) {
+            if (err) {
+              done(err);
+              return;
+            }
+            erasure.deleted.accessLogIpAddresses = this.changes;
+            tx.run('UPDATE tracking_sessions SET device_info = NULL WHERE id = ?', [sessionId], (err) => {
+              if (err) {
+                done(err);
+                return;
+              }
+              next();
+            });
+          }
+        );
+      });
+    };
+
+    tx.run(deleteQuery, deleteParams, function(err) {
+      if (err) {
+        done(err);
+        return;
+      }
+      erasure.deleted.locations = this.changes;
+
+      scrub(() => {
+        tx.run(`UPDATE tracking_sessions 
+          SET total_locations = (SELECT COUNT(*) FROM location_data WHERE session_id = ?) 
+          WHERE id = ?`, 
+          [sessionId, sessionId], 
+          (err) => {
+            if (err) {
+              done(err);
+              return;
+            }
+            tx.run(`INSERT INTO erasure_requests (id, session_id, scope, deleted_locations) VALUES (?, ?, ?, ?)`, 
+              [erasure.confirmationId, sessionId, erasure.scope, erasure.deleted.locations], 
+              (err) => done(err, erasure)
+            );
+          }
+        );
+      });
+    });
+  }, callback);
+}
+
+// Paylaşan kişi, session'ı için tutulan tüm verileri JSON veya GPX olarak indirir
+// (KVKK/GDPR kapsamında erişim talebi)
+app.get('/api/sharing/:token/data', tokenLimiter, (req, res) => {
+  const { format = 'json', download } = req.query;
+
+  findSessionByRevocationToken(req.params.token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+    // GPX açık koordinat gerektirir; şifreli linkte JSON indirmesi şifreli metni içerir
+    if (format === 'gpx' && session.link_e2e) {
+      res.status(409).json({ error: 'Uçtan uca şifreli linklerde GPX indirilemez', code: 'E2E_UNSUPPORTED' });
+      return;
+    }
+
+    collectSessionData(session, (err, data) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      recordLocationAccess({
+        trackingId: session.tracking_id,
+        action: 'export',
+        actorType: 'sharer',
+        ipAddress: getClientIp(req)
+      }, [{ sessionId: session.id, pointCount: data.locations.length }]);
+
+      if (format === 'gpx') {
+        res.set('Content-Type', 'application/gpx+xml');
+        res.attachment(`konum-${session.id}.gpx`);
+        res.send(buildGpx(data));
+        return;
+      }
+      if (download) {
+        res.attachment(`konum-${session.id}.json`);
+      }
+      res.json(data);
+    });
+  });
+});
+
+// Paylaşan kişi session'ının tüm verilerini veya seçtiği konumları siler
+// (KVKK/GDPR kapsamında silme talebi)
+app.delete('/api/sharing/:token/data', tokenLimiter, (req, res) => {
+  const { locationIds } = req.body || {};
+
+  if (locationIds !== undefined && (!Array.isArray(locationIds) || locationIds.length === 0 ||
+    !locationIds.every(id => Number.isInteger(id)))) {
+    res.status(400).json({ error: 'locationIds bir tam sayı listesi olmalı', code: 'INVALID_LOCATION_IDS' });
+    return;
+  }
+
+  findSessionByRevocationToken(req.params.token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+
+    eraseSessionData(session.id, locationIds || null, (err, erasure) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ success: true, message: 'Veriler silindi', erasure });
+    });
+  });
+});
+
+// Paylaşan kişi paylaşımı belirli bir süre (dakika) veya devam ettirene kadar duraklatır
+app.post('/api/pause-session', tokenLimiter, (req, res) => {
+  const { token, duration = null } = req.body;
+
+  if (duration !== null && (!Number.isInteger(duration) || duration < 1 || duration > 1440)) {
+    res.status(400).json({ error: 'Duraklatma süresi 1 ile 1440 dakika arasında olmalı', code: 'INVALID_PAUSE_DURATION' });
+    return;
+  }
+
+  findSessionByRevocationToken(token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+    if (!session.is_active) {
+      res.status(410).json({ error: 'Session sonlandırılmış', code: 'SESSION_INACTIVE' });
+      return;
+    }
+    if (session.paused_at) {
+      res.status(409).json(session.pause_reason === 'reconsent'
+        ? { error: 'Paylaşım yeniden onay bekliyor', code: 'RECONSENT_REQUIRED' }
+        : { error: 'Paylaşım zaten duraklatılmış', code: 'SESSION_PAUSED' });
+      return;
+    }
+
+    const pauseUntil = duration ? new Date(Date.now() + duration * 60 * 1000) : null;
+    pauseSession(session.id, 'sharer', pauseUntil, (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ success: true, pausedUntil: pauseUntil && pauseUntil.toISOString() });
+    });
+  });
+});
+
+// Paylaşan kişi duraklattığı paylaşımı devam ettirir
+app.post('/api/resume-session', tokenLimiter, (req, res) => {
+  const { token } = req.body;
+
+  findSessionByRevocationToken(token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+    if (!session.is_active) {
+      res.status(410).json({ error: 'Session sonlandırılmış', code: 'SESSION_INACTIVE' });
+      return;
+    }
+    if (session.pause_reason === 'reconsent') {
+      res.status(409).json({ error: 'Paylaşım yeniden onay bekliyor', code: 'RECONSENT_REQUIRED' });
+      return;
+    }
+    if (!session.paused_at) {
+      res.status(409).json({ error: 'Paylaşım duraklatılmamış', code: 'SESSION_NOT_PAUSED' });
+      return;
+    }
+
+    resumeSession(session.id, (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ success: true });
+    });
+  });
+});
+
+// Paylaşan kişi paylaşıma devam etmeyi yeniden onaylar; onay, ilk rıza kaydının
+// yanına 'reconfirm' türünde yeni bir kayıt olarak yazılır
+app.post('/api/reconsent', tokenLimiter, (req, res) => {
+  const { token } = req.body;
+
+  findSessionByRevocationToken(token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz bağlantı', code: 'INVALID_TOKEN' });
+      return;
+    }
+    if (!session.is_active) {
+      res.status(410).json({ error: 'Session sonlandırılmış', code: 'SESSION_INACTIVE' });
+      return;
+    }
+
+    db.get('SELECT * FROM tracking_links WHERE id = ?', [session.tracking_id], (err, link) => {
+      if (err || !link) {
+        res.status(500).json({ error: err ? err.message : 'Link bulunamadı' });
+        return;
+      }
+
+      const notice = buildConsentNotice(link);
+      const requestInfo = getConsentRequestInfo(req, notice.collectionProfile);
+      const reconsentDueAt = getReconsentDueAt(link, new Date());
+
+      db.run(`INSERT INTO consent_records 
+        (id, tracking_id, session_id, consent_version, consent_text, ip_address, user_agent, kind) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'reconfirm')`,
+        [uuidv4(), session.tracking_id, session.id, notice.version, notice.text, requestInfo.ipAddress, requestInfo.userAgent],
+        (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          // Yalnızca yeniden onay nedeniyle duraklatılmış session devam ettirilir
+          db.run(`UPDATE tracking_sessions SET 
+            reconsent_due_at = ?, 
+            reconsent_requested_at = NULL, 
+            paused_at = CASE WHEN pause_reason = 'reconsent' THEN NULL ELSE paused_at END, 
+            pause_reason = CASE WHEN pause_reason = 'reconsent' THEN NULL ELSE pause_reason END 
+            WHERE id = ?`,
+            [reconsentDueAt && toSqliteDate(reconsentDueAt), session.id],
+            (err) => {
+              if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+              }
+              emitToLink(session.tracking_id, 'session-reconfirmed', {
+                sessionId: session.id,
+                trackingId: session.tracking_id,
+                reconsentDueAt: reconsentDueAt && reconsentDueAt.toISOString()
+              });
+              res.json({ success: true, reconsentDueAt: reconsentDueAt && reconsentDueAt.toISOString() });
+            }
+          );
+        }
+      );
+    });
+  });
+});
+
+// Paylaşımı durdur, rızayı geri çek ve isteğe bağlı olarak session verilerini sil
+app.post('/api/revoke', tokenLimiter, (req, res) => {
+  const { token, eraseData = false } = req.body;
+
+  findSessionByRevocationToken(token, (err, session) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!session) {
+      res.status(404).json({ error: 'Geçersiz geri çekme bağlantısı', code: 'INVALID_TOKEN' });
+      return;
+    }
+
+    endSession(session.id, 'revoked', (err, sessionEnded) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      db.run('UPDATE consent_records SET withdrawn_at = CURRENT_TIMESTAMP WHERE session_id = ? AND withdrawn_at IS NULL', 
+        [session.id], 
+        (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          const finish = (erasure) => {
+            emitToLink(session.tracking_id, 'consent-withdrawn', {
+              sessionId: session.id,
+              trackingId: session.tracking_id,
+              dataErased: eraseData === true,
+              withdrawnAt: new Date().toISOString()
+            });
+            res.json({
+              success: true,
+              sessionEnded,
+              erasedLocations: erasure ? erasure.deleted.locations : 0,
+              erasure,
+              message: 'Rıza geri çekildi'
+            });
+          };
+
+          if (eraseData !== true) {
+            finish(null);
+            return;
+          }
+
+          eraseSessionData(session.id, null, (err, erasure) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+            finish(erasure);
+          });
+        }
+      );
+    });
+  });
+});
+
+// Tracking linkleri listele (yöneticiler tüm linkleri görür)
+app.get('/api/links', requireAuth, (req, res) => {
+  const query = req.user.is_admin
+    ? 'SELECT * FROM tracking_links ORDER BY created_at DESC'
+    : 'SELECT * FROM tracking_links WHERE owner_id = ? ORDER BY created_at DESC';
+
+  db.all(query, req.user.is_admin ? [] : [req.user.id], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    rows.forEach(row => {
+      row.trackingUrl = getTrackingUrl(req, row);
+      row.claimed = !!row.claim_key_hash;
+      // Cihaz anahtarının hash'i yalnızca sunucu içinde kullanılır
+      delete row.claim_key_hash;
+    });
+    res.json(rows);
+  });
+});
+
+// Link token'ını yenile: eski URL geçersiz olur ve link yeniden bir cihaza bağlanabilir.
+// Linkin session'ları ve konum geçmişi korunur, süren session'lar devam eder.
+app.post('/api/links/:trackingId/rotate-token', requireAuth, requireLinkOwner, (req, res) => {
+  const validHours = parseLinkValidHours(req.body.linkValidHours);
+  if (!validHours) {
+    res.status(400).json({ 
+      error: `Link geçerlilik süresi 1 ile ${MAX_LINK_TOKEN_TTL} saat arasında olmalı`, 
+      code: 'INVALID_LINK_TTL' 
+    });
+    return;
+  }
+
+  const link = {
+    ...req.link,
+    link_token_version: (req.link.link_token_version || 1) + 1,
+    link_token_expires_at: toSqliteDate(new Date(Date.now() + validHours * 60 * 60 * 1000))
+  };
+
+  db.run(`UPDATE tracking_links SET link_token_version = ?, link_token_expires_at = ?, 
+    link_token_revoked_at = NULL, claim_key_hash = NULL, claimed_at = NULL WHERE id = ?`, 
+    [link.link_token_version, link.link_token_expires_at, link.id], 
+    (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({
+        success: true,
+        trackingUrl: getTrackingUrl(req, link),
+        linkExpiresAt: fromSqliteDate(link.link_token_expires_at).toISOString()
+      });
+    }
+  );
+});
+
+// Link token'ını iptal et: link URL'i ile yeni session başlatılamaz, geçmiş korunur.
+// Link rotate-token ile yeniden kullanılabilir hale getirilebilir.
+app.post('/api/links/:trackingId/revoke-token', requireAuth, requireLinkOwner, (req, res) => {
+  db.run('UPDATE tracking_links SET link_token_revoked_at = CURRENT_TIMESTAMP WHERE id = ?', 
+    [req.link.id], 
+    (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ success: true });
+    }
+  );
+});
+
+// Linkin şifreleme anahtarını yenile: linkin tüm konumları yeni anahtarla yeniden şifrelenir,
+// anahtar sürümü yalnızca bu başarılı olursa artar
+app.post('/api/links/:trackingId/rotate-key', requireAuth, requireLinkOwner, (req, res) => {
+  if (!CURRENT_MASTER_KEY_ID) {
+    res.status(503).json({ error: 'Konum şifrelemesi yapılandırılmamış', code: 'ENCRYPTION_DISABLED' });
+    return;
+  }
+
+  rotateLinkKey(req.link.id, (err, result) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ success: true, ...result });
+  });
+});
+
+// Ana anahtar değiştirildikten sonra eski anahtarla şifrelenmiş tüm konumları yeniden şifrele.
+// Açılışta da çalışır; bu endpoint yeniden başlatmadan tetiklemek içindir.
+app.post('/api/encryption/rotate', requireAuth, requireAdmin, (req, res) => {
+  if (!CURRENT_MASTER_KEY_ID) {
+    res.status(503).json({ error: 'Konum şifrelemesi yapılandırılmamış', code: 'ENCRYPTION_DISABLED' });
+    return;
+  }
+
+  reencryptLocations(null, (err, result) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ success: true, masterKeyId: CURRENT_MASTER_KEY_ID, ...result });
+  });
+});
+
+// Konum verilerini getir
+app.get('/api/locations/:trackingId', requireAuth, requireLinkOwner, (req, res) => {
+  const trackingId = req.params.trackingId;
+  const { limit = 100, sessionId } = req.query;
+  
+  let query = 'SELECT * FROM location_data WHERE tracking_id = ?';
+  let params = [trackingId];
+  
+  if (sessionId) {
+    query += ' AND session_id = ?';
+    params.push(sessionId);
+  }
+  
+  query += ' ORDER BY timestamp DESC LIMIT ?';
+  params.push(parseInt(limit));
+  
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    recordLocationAccess(userAccess(req, 'locations'), countPointsBySession(rows));
+    res.json(decryptLocationRows(rows));
+  });
+});
+
+// Session'ları getir
+app.get('/api/sessions/:trackingId', requireAuth, requireLinkOwner, (req, res) => {
+  const trackingId = req.params.trackingId;
+  
+  db.all(`SELECT s.*, c.withdrawn_at AS consent_withdrawn_at 
+    FROM tracking_sessions s 
+    LEFT JOIN consent_records c ON c.session_id = s.id AND c.kind = 'initial' 
+    WHERE s.tracking_id = ? ORDER BY s.started_at DESC`, 
+    [trackingId], 
+    (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      // Token hash'i yalnızca sunucu içinde kullanılır
+      // Link sahibi duraklatmanın nedenini ve ne zamana kadar süreceğini görmez
+      rows.forEach(row => {
+        delete row.revocation_token_hash;
+        delete row.pause_reason;
+        delete row.pause_until;
+      });
+      res.json(rows);
+    }
+  );
+});
+
+// İstatistikleri getir
+app.get('/api/stats/:trackingId', requireAuth, requireLinkOwner, (req, res) => {
+  const trackingId = req.params.trackingId;
+  
+  db.get(`SELECT 
+    COUNT(*) as total_locations,
+    COUNT(DISTINCT session_id) as total_sessions,
+    MAX(timestamp) as last_location,
+    AVG(accuracy) as avg_accuracy
+    FROM location_data WHERE tracking_id = ?`, 
+    [trackingId], 
+    (err, stats) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      // İstatistikler tüm noktalar üzerinden hesaplanır; erişim kaydı için session başına say
+      db.all(`SELECT session_id, COUNT(*) AS point_count FROM location_data 
+        WHERE tracking_id = ? GROUP BY session_id`, 
+        [trackingId], 
+        (err, counts) => {
+          if (err) {
+            req.log.error('Erişim kaydı için nokta sayısı alınamadı', { trackingId, error: err });
+          } else {
+            recordLocationAccess(userAccess(req, 'stats'),
+              counts.map(row => ({ sessionId: row.session_id, pointCount: row.point_count })));
+          }
+          // Şifreli linklerde hassasiyet şifreli metnin içindedir
+          if (req.link.e2e) {
+            stats.e2e = true;
+            stats.unavailable = ['avg_accuracy'];
+          }
+          res.json(stats);
+        }
+      );
+    }
+  );
+});
 
-  socket.on('join-tracking', (trackingId) => {
-    socket.join(trackingId);
-    activeConnections.set(socket.id, trackingId);
-    console.log(`✅ Socket ${socket.id} tracking ${trackingId} için katıldı`);
-    
-    // Bağlantı onayı gönder
-    socket.emit('tracking-joined', { trackingId, message: 'Tracking room\'a katıldınız' });
-    
-    // Room'daki client sayısını kontrol et
-    io.in(trackingId).fetchSockets().then(sockets => {
-      console.log(`📊 Room ${trackingId} içindeki client sayısı: ${sockets.length}`);
-    }).catch(err => {
-      console.error('Room client listesi alınamadı:', err);
-    });
-  });
+// Tracking link sil
+// Linki kalıcı olarak silerken temizlenen tablolar, silme sırasıyla. Silme sürerken gelen
+// konumlar transaction bitene kadar bekler, ardından SESSION_NOT_FOUND ile reddedilir.
+const LINK_SESSIONS = 'SELECT id FROM tracking_sessions WHERE tracking_id = ?';
+// Kalıcı silmeden sonra access_audit'te kalan alanlar: okuyan kullanıcı, işlem, nokta sayısı, zaman
+const ACCESS_AUDIT_RETAINED_FIELDS = ['tracking_id', 'actor_type', 'user_id', 'actor', 'action', 'point_count', 'accessed_at'];
+// Moderasyon ve denetim kayıtları kalıcı silmede silinmez; yalnızca kişisel veri içeren sütunları
+// boşaltılır: [tablo, korunan alanlar, boşaltılan alanlar]
+const LINK_RETAINED_RECORDS = [
+  ['access_audit', ACCESS_AUDIT_RETAINED_FIELDS, ['ip_address', 'session_id']],
+  ['abuse_reports', ['id', 'tracking_id', 'reason', 'status', 'created_at', 'reviewed_at', 'reviewed_by'], ['details', 'reporter_hash']],
+  ['room_join_audit', ['tracking_id', 'user_id', 'granted', 'reason', 'created_at'], ['room_token_id', 'socket_id', 'ip_address']]
+];
+const LINK_DELETION_STEPS = [
+  ['room_tokens', 'DELETE FROM room_tokens WHERE tracking_id = ?'],
+  ['viewer_events', 'DELETE FROM viewer_events WHERE tracking_id = ?'],
+  ['geofences', 'DELETE FROM geofences WHERE tracking_id = ?'],
+  ['alarms', 'DELETE FROM alarms WHERE tracking_id = ?'],
+  ['notifications', 'DELETE FROM notifications WHERE tracking_id = ?'],
+  ['purge_reports', 'DELETE FROM purge_reports WHERE tracking_id = ?'],
+  ['erasure_requests', `DELETE FROM erasure_requests WHERE session_id IN (${LINK_SESSIONS})`],
+  ['consent_records', `DELETE FROM consent_records WHERE tracking_id = ? OR session_id IN (${LINK_SESSIONS})`],
+  ['location_data', 'DELETE FROM location_data WHERE tracking_id = ?'],
+  ['tracking_sessions', 'DELETE FROM tracking_sessions WHERE tracking_id = ?'],
+  ['tracking_links', 'DELETE FROM tracking_links WHERE id = ?']
+];
 
-  socket.on('leave-tracking', (trackingId) => {
-    socket.leave(trackingId);
-    activeConnections.delete(socket.id);
-    console.log(`❌ Socket ${socket.id} tracking ${trackingId} için ayrıldı`);
-    
-    // Ayrılma onayı gönder
-    socket.emit('tracking-left', { trackingId, message: 'Tracking room\'dan ayrıldınız' });
-  });
+// Linke bağlı tüm satırları tek transaction içinde sil; bir adım başarısız olursa hiçbir şey
+// silinmez. access_audit, kötüye kullanım bildirimleri ve odaya katılma kayıtları korunur, ancak
+// kişisel veri içeren sütunları boşaltılır; silme işleminin kendisi de access_audit'e eklenir.
+// Korunan alanlar raporda belirtilir. callback(err, report)
+function deleteLinkData(link, user, callback) {
+  const report = {
+    confirmationId: uuidv4(),
+    trackingId: link.id,
+    linkName: link.name,
+    deleted: {},
+    retained: {},
+    deletedAt: null
+  };
 
-  socket.on('disconnect', () => {
-    const trackingId = activeConnections.get(socket.id);
-    if (trackingId) {
-      activeConnections.delete(socket.id);
-      console.log(`❌ Socket ${socket.id} tracking ${trackingId} için ayrıldı (disconnect)`);
-    }
-    console.log(`❌ Socket ${socket.id} bağlantısı kesildi`);
-  });
+  runTransaction((tx, done) => {
+    const finish = () => {
+      report.deletedAt = new Date().toISOString();
+      tx.run(`INSERT INTO access_audit (tracking_id, session_id, actor_type, user_id, actor, action, point_count, ip_address) 
+        VALUES (?, NULL, 'user', ?, ?, 'link-deleted', ?, NULL)`, 
+        [link.id, user.id, user.email, report.deleted.location_data], 
+        (err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+          anonymizeRecord(0);
+        }
+      );
+    };
 
-  // Hata yakalama
-  socket.on('error', (error) => {
-    console.error('Socket.IO hatası:', error);
-  });
-});
+    const anonymizeRecord = (index) => {
+      if (index === LINK_RETAINED_RECORDS.length) {
+        tx.run('INSERT INTO deletion_reports (id, tracking_id, link_name, deleted_by, report) VALUES (?, ?, ?, ?, ?)', 
+          [report.confirmationId, link.id, link.name, user.id, JSON.stringify(report)], 
+          (err) => done(err, report)
+        );
+        return;
+      }
+      const [table, fields, anonymized] = LINK_RETAINED_RECORDS[index];
+      tx.run(`UPDATE ${table} SET ${anonymized.map(field => `${field} = NULL`).join(', ')} WHERE tracking_id = ?`, [link.id], 
+        function(err) {
+          if (err) {
+            done(err);
+            return;
+          }
+          report.retained[table] = { count: this.changes, fields, anonymized };
+          anonymizeRecord(index + 1);
+        }
+      );
+    };
 
-// Routes
+    const runStep = (index) => {
+      if (index === LINK_DELETION_STEPS.length) {
+        finish();
+        return;
+      }
+      const [table, query] = LINK_DELETION_STEPS[index];
+      const params = Array((query.match(/\?/g) || []).length).fill(link.id);
+      tx.run(query, params, function(err) {
+        if (err) {
+          done(err);
+          return;
+        }
+        report.deleted[table] = this.changes;
+        runStep(index + 1);
+      });
+    };
 
-// Ana sayfa - Admin paneli
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
+    runStep(0);
+  }, callback);
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// Linki deaktif et; ?hard=1 ile link ve ona bağlı tüm veriler kalıcı olarak silinir ve
+// veri sahibine verilebilecek silme raporu döner
+app.delete('/api/links/:id', requireAuth, requireLinkOwner, (req, res) => {
+  const trackingId = req.link.id;
 
-// Yeni tracking link oluştur
-app.post('/api/create-link', (req, res) => {
-  const { name, trackingInterval = 30, maxDuration = 1440 } = req.body;
-  const trackingId = uuidv4();
+  if (['1', 'true'].includes(req.query.hard)) {
+    hardDeleteLink(req, res);
+    return;
+  }
   
-  db.run('INSERT INTO tracking_links (id, name, tracking_interval, max_duration) VALUES (?, ?, ?, ?)', 
-    [trackingId, name, trackingInterval, maxDuration], 
+  // Link'i deaktif et
+  db.run('UPDATE tracking_links SET active = 0 WHERE id = ?', 
+    [trackingId], 
     function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
-      const baseUrl = NODE_ENV === 'production' 
-        ? `https://${req.get('host')}` 
-        : `http://localhost:${PORT}`;
       
-      res.json({ 
-        trackingId, 
-        trackingUrl: `${baseUrl}/track/${trackingId}`,
-        qrCode: `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${baseUrl}/track/${trackingId}`
+      // Link odasını izleyen soketler çıkarılır, token'ları geri çekilir
+      revokeRoomTokens('tracking_id = ?', [trackingId], 'link-deactivated');
+      
+      // İlgili konum verilerini de sil (opsiyonel)
+      db.run('DELETE FROM location_data WHERE tracking_id = ?', [trackingId], function(err) {
+        if (err) {
+          req.log.error('Konum verileri silinirken hata', { trackingId, error: err });
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        
+        res.json({ 
+          success: true, 
+          message: 'Link devre dışı bırakıldı ve konum verileri silindi',
+          deletedLocations: this.changes
+        });
       });
     }
   );
 });
 
-// Tracking link sayfası
-app.get('/track/:id', (req, res) => {
-  const trackingId = req.params.id;
-  
-  db.get('SELECT * FROM tracking_links WHERE id = ? AND active = 1', 
-    [trackingId], 
-    (err, row) => {
-      if (err || !row) {
-        res.status(404).send('Link bulunamadı');
-        return;
+function hardDeleteLink(req, res) {
+  const link = req.link;
+
+  // İncelenen linkin kanıtları link sahibi tarafından silinemez
+  if (!req.user.is_admin && link.disabled_at) {
+    res.status(409).json({ error: 'Kötüye kullanım nedeniyle devre dışı bırakılan link silinemez', code: 'LINK_UNDER_REVIEW' });
+    return;
+  }
+
+  db.get("SELECT COUNT(*) AS count FROM abuse_reports WHERE tracking_id = ? AND status = 'open'", [link.id], (err, openReports) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!req.user.is_admin && openReports.count > 0) {
+      res.status(409).json({ error: 'Hakkında açık kötüye kullanım bildirimi olan link silinemez', code: 'LINK_UNDER_REVIEW' });
+      return;
+    }
+
+    db.all('SELECT id FROM tracking_sessions WHERE tracking_id = ?', 
+      [link.id], 
+      (err, sessions) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        // İzleyiciler silmeden önce çıkarılır (çıkış kaydı da silinecek verilere dahil)
+        dropRoomSockets(link.id, null, 'link-deleted');
+
+        deleteLinkData(link, req.user, (err, report) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          // Paylaşan kişinin açık takip sayfası, Service Worker kuyruğundaki bu linke ait
+          // konumları siler. Kapalı sayfaların kuyruğu bir sonraki gönderimde SESSION_NOT_FOUND
+          // ile reddedilip temizlenir.
+          emitToLink(link.id, 'link-deleted', {
+            trackingId: link.id,
+            sessionIds: sessions.map(session => session.id),
+            deletedAt: report.deletedAt
+          });
+          io.in(sharerRoom(link.id)).socketsLeave(sharerRoom(link.id));
+          req.log.info('Link kalıcı olarak silindi', { trackingId: link.id, deleted: report.deleted });
+
+          res.json({ 
+            success: true, 
+            message: 'Link ve bağlı tüm veriler kalıcı olarak silindi',
+            report
+          });
+        });
       }
-      res.sendFile(path.join(__dirname, 'public', 'track.html'));
+    );
+  });
+}
+
+// Kalıcı silme raporu; linki silen kullanıcı veya yönetici görebilir
+app.get('/api/deletion-reports/:id', requireAuth, (req, res) => {
+  db.get('SELECT * FROM deletion_reports WHERE id = ?', [req.params.id], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
-  );
+    if (!row || (!req.user.is_admin && row.deleted_by !== req.user.id)) {
+      res.status(404).json({ error: 'Silme raporu bulunamadı', code: 'REPORT_NOT_FOUND' });
+      return;
+    }
+    res.json(JSON.parse(row.report));
+  });
 });
 
-// Konum verisi kaydet
-app.post('/api/save-location', validateLocationData, (req, res) => {
-  const { 
-    trackingId, 
-    latitude, 
-    longitude, 
-    accuracy, 
-    speed = 0,
-    heading = 0,
-    altitude = 0,
-    userAgent, 
-    ipAddress,
-    sessionId 
-  } = req.body;
-  
-  // Session kontrolü
-  if (!sessionId) {
-    res.status(400).json({ error: 'Session ID gerekli' });
+// Linkin konum verilerine yapılan erişimlerin kaydı (?sessionId= ile tek session)
+app.get('/api/links/:trackingId/access-log', requireAuth, requireLinkOwner, (req, res) => {
+  const { sessionId } = req.query;
+
+  let query = `SELECT id, session_id, actor_type, actor, action, point_count, ip_address, accessed_at 
+    FROM access_audit WHERE tracking_id = ?`;
+  const params = [req.link.id];
+
+  if (sessionId) {
+    query += ' AND session_id = ?';
+    params.push(sessionId);
+  }
+
+  query += ' ORDER BY accessed_at DESC, id DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ entries: rows, count: rows.length });
+  });
+});
+
+// Link sahibine canlı izleme odasına katılmak için kısa ömürlü token ver.
+// Token veritabanında yalnızca hash olarak tutulur ve join-tracking olayında gönderilir.
+app.post('/api/links/:trackingId/room-token', requireAuth, requireLinkOwner, (req, res) => {
+  if (!req.link.active) {
+    res.status(410).json({ error: 'Link devre dışı', code: 'LINK_INACTIVE' });
     return;
   }
 
-  db.run(`INSERT INTO location_data 
-    (tracking_id, latitude, longitude, accuracy, speed, heading, altitude, user_agent, ip_address, session_id) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [trackingId, latitude, longitude, accuracy, speed, heading, altitude, userAgent, ipAddress, sessionId],
-    function(err) {
+  const roomTokenId = uuidv4();
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + ROOM_TOKEN_TTL * 60 * 1000);
+
+  db.run(`INSERT INTO room_tokens (id, token_hash, tracking_id, user_id, expires_at) 
+    VALUES (?, ?, ?, ?, ?)`, 
+    [roomTokenId, hashToken(token), req.link.id, req.user.id, toSqliteDate(expiresAt)], 
+    (err) => {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
+      res.json({
+        tokenId: roomTokenId,
+        token,
+        trackingId: req.link.id,
+        expiresAt: expiresAt.toISOString()
+      });
+    }
+  );
+});
 
-      // Session güncelle
-      db.run(`UPDATE tracking_sessions 
-        SET last_update = CURRENT_TIMESTAMP, total_locations = total_locations + 1 
-        WHERE id = ?`, [sessionId]);
+// İzleme odası token'ını geri çek; bu token ile katılan soketler odadan çıkarılır
+app.delete('/api/room-tokens/:id', requireAuth, (req, res) => {
+  db.get('SELECT * FROM room_tokens WHERE id = ?', [req.params.id], (err, roomToken) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!roomToken || (!req.user.is_admin && roomToken.user_id !== req.user.id)) {
+      res.status(404).json({ error: 'Token bulunamadı', code: 'ROOM_TOKEN_NOT_FOUND' });
+      return;
+    }
 
-      // Gerçek zamanlı güncelleme gönder
-      console.log(`🔍 Socket.IO emit: trackingId=${trackingId}, room=${trackingId}`);
-      console.log(`📡 Emitting location-update to room: ${trackingId}`);
-      
-      const locationData = {
-        latitude,
-        longitude,
-        accuracy,
-        speed,
-        heading,
-        altitude,
-        timestamp: new Date().toISOString()
-      };
-      
-      // Room'daki tüm client'lara gönder
-      io.to(trackingId).emit('location-update', locationData);
-      
-      // Debug: Room'daki client sayısını kontrol et
-      io.in(trackingId).fetchSockets().then(sockets => {
-        console.log(`📊 Room ${trackingId} içindeki client sayısı: ${sockets.length}`);
-        if (sockets.length === 0) {
-          console.log(`⚠️ Room ${trackingId} boş, veri gönderilemedi`);
-        } else {
-          console.log(`✅ Room ${trackingId} içindeki ${sockets.length} client'a veri gönderildi`);
-        }
-      }).catch(err => {
-        console.error('Room client listesi alınamadı:', err);
-      });
+    revokeRoomTokens('id = ?', [roomToken.id], 'token-revoked', (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ success: true, tokenId: roomToken.id });
+    });
+  });
+});
+
+// QR kod endpoint. Görsel sunucuda üretilir ve imzalı link URL'ini taşır; URL
+// dışarıdaki bir servise gönderilmez. ?format=png|svg, ?size=100-1000, ?download=1
+app.get('/api/qr/:trackingId', requireAuth, requireLinkOwner, (req, res) => {
+  const { format = 'png', download } = req.query;
+  const size = req.query.size === undefined ? QR_DEFAULT_SIZE : Number(req.query.size);
+
+  // Şifreli linkin anahtarı URL fragment'ındadır ve sunucuya hiç gelmez
+  if (req.link.e2e) {
+    res.status(409).json({ 
+      error: 'Uçtan uca şifreli linklerin QR kodu anahtarı içeremeyeceği için sunucuda üretilemez', 
+      code: 'E2E_UNSUPPORTED' 
+    });
+    return;
+  }
+
+  if (!QR_FORMATS[format]) {
+    res.status(400).json({ error: `Geçersiz QR biçimi (${Object.keys(QR_FORMATS).join(', ')})`, code: 'INVALID_QR_FORMAT' });
+    return;
+  }
+  if (!Number.isInteger(size) || size < QR_MIN_SIZE || size > QR_MAX_SIZE) {
+    res.status(400).json({ error: `QR boyutu ${QR_MIN_SIZE} ile ${QR_MAX_SIZE} piksel arasında olmalı`, code: 'INVALID_QR_SIZE' });
+    return;
+  }
+
+  const trackingUrl = getTrackingUrl(req, req.link);
+  const options = { type: format, width: size, margin: 2, errorCorrectionLevel: 'M' };
 
-      res.json({ success: true, message: 'Konum kaydedildi' });
+  const send = (err, image) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
-  );
+    // Görsel link token'ını içerir; token yenilenince eski görsel kullanılmamalı
+    res.set('Cache-Control', 'no-store');
+    res.type(QR_FORMATS[format]);
+    if (download) {
+      res.attachment(`qr-${req.link.id}.${format}`);
+    }
+    res.send(image);
+  };
+
+  if (format === 'svg') {
+    QRCode.toString(trackingUrl, options, send);
+  } else {
+    QRCode.toBuffer(trackingUrl, options, send);
+  }
 });
 
-// Yeni tracking session başlat
-app.post('/api/start-session', (req, res) => {
-  const { trackingId } = req.body;
-  const sessionId = uuidv4();
+// Geofencing endpoint
+app.post('/api/geofence', requireAuth, requireLinkOwner, (req, res) => {
+  const { trackingId, latitude, longitude, radius, action } = req.body;
   
-  db.run('INSERT INTO tracking_sessions (id, tracking_id) VALUES (?, ?)', 
-    [sessionId, trackingId], 
+  db.run('INSERT INTO geofences (tracking_id, latitude, longitude, radius, action) VALUES (?, ?, ?, ?, ?)',
+    [trackingId, latitude, longitude, radius, action],
     function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
-      res.json({ sessionId });
+      res.json({ success: true, message: 'Geofence oluşturuldu' });
     }
   );
 });
 
-// Session durdur
-app.post('/api/stop-session', (req, res) => {
-  const { sessionId } = req.body;
+// Alarm sistemi
+app.post('/api/alarm', requireAuth, requireLinkOwner, (req, res) => {
+  const { trackingId, type, message, conditions } = req.body;
   
-  db.run('UPDATE tracking_sessions SET is_active = 0 WHERE id = ?', 
-    [sessionId], 
+  db.run('INSERT INTO alarms (tracking_id, type, message, conditions) VALUES (?, ?, ?, ?)',
+    [trackingId, type, message, JSON.stringify(conditions)],
     function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
-      res.json({ success: true, message: 'Session durduruldu' });
+      res.json({ success: true, message: 'Alarm oluşturuldu' });
     }
   );
 });
 
-// Tracking linkleri listele
-app.get('/api/links', (req, res) => {
-  db.all('SELECT * FROM tracking_links ORDER BY created_at DESC', (err, rows) => {
+// Rota analizi
+app.get('/api/route/:trackingId', requireAuth, requireLinkOwner, (req, res) => {
+  const trackingId = req.params.trackingId;
+  const { startDate, endDate } = req.query;
+
+  // Rota analizi açık koordinat gerektirir; şifreli linklerde sunucu koordinatları göremez
+  if (req.link.e2e) {
+    res.status(409).json({ 
+      error: 'Uçtan uca şifreli linklerde rota analizi sunucuda yapılamaz', 
+      code: 'E2E_UNSUPPORTED' 
+    });
+    return;
+  }
+  
+  let query = 'SELECT * FROM location_data WHERE tracking_id = ?';
+  let params = [trackingId];
+  
+  if (startDate && endDate) {
+    query += ' AND timestamp BETWEEN ? AND ?';
+    params.push(startDate, endDate);
+  }
+  
+  query += ' ORDER BY timestamp ASC';
+  
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    recordLocationAccess(userAccess(req, 'route'), countPointsBySession(rows));
+
+    // Rota analizi
+    const route = analyzeRoute(decryptLocationRows(rows));
+    res.json(route);
+  });
+});
+
+// Linki beklemediği halde alan kişinin seçebileceği bildirim nedenleri
+const ABUSE_REPORT_REASONS = {
+  unexpected: 'Bu linki beklemiyordum',
+  'unknown-sender': 'Göndereni tanımıyorum',
+  harassment: 'Taciz veya ısrarlı takip',
+  other: 'Diğer'
+};
+
+// Linki devre dışı bırak (reason: 'abuse-reports' otomatik, 'moderator' yönetici kararı).
+// Süren session'lar sonlandırılır, canlı izleme odası kapatılır.
+function disableLink(trackingId, reason, callback = () => {}) {
+  db.run(`UPDATE tracking_links 
+    SET active = 0, disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP), disabled_reason = ? 
+    WHERE id = ?`, 
+    [reason, trackingId], 
+    (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      revokeRoomTokens('tracking_id = ?', [trackingId], 'link-disabled');
+
+      db.all('SELECT id FROM tracking_sessions WHERE tracking_id = ? AND is_active = 1', 
+        [trackingId], 
+        (err, sessions) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+          sessions.forEach(session => endSession(session.id, 'link-disabled'));
+          callback(null);
+        }
+      );
+    }
+  );
+}
+
+// Link sahibinin hesabına bildirim bırak; yönetim panelinde GET /api/notifications ile görünür
+function notifyLinkOwner(link, title, message, callback = () => {}) {
+  db.get('SELECT email FROM users WHERE id = ?', [link.owner_id], (err, owner) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    db.run('INSERT INTO notifications (tracking_id, type, title, message, recipients) VALUES (?, ?, ?, ?, ?)', 
+      [link.id, 'moderation', title, message, JSON.stringify(owner ? [owner.email] : [])], 
+      callback
+    );
+  });
+}
+
+// Açık bildirimler eşiğe ulaştıysa linki devre dışı bırak ve sahibine bildir
+function checkAbuseThreshold(link) {
+  db.get(`SELECT COUNT(*) AS count FROM abuse_reports WHERE tracking_id = ? AND status = 'open'`, 
+    [link.id], 
+    (err, row) => {
+      if (err || row.count < ABUSE_REPORT_THRESHOLD || !link.active) {
+        return;
+      }
+      disableLink(link.id, 'abuse-reports', (err) => {
+        if (err) {
+          logger.error('Link devre dışı bırakılamadı', { trackingId: link.id, error: err });
+          return;
+        }
+        logger.warn('Kötüye kullanım bildirimleri nedeniyle link devre dışı bırakıldı', { trackingId: link.id, reports: row.count });
+        notifyLinkOwner(link, 'Linkiniz devre dışı bırakıldı', 
+          `"${link.name}" linki, alan kişilerden ${row.count} kötüye kullanım bildirimi geldiği için ` + 
+          'otomatik olarak devre dışı bırakıldı. Bildirimler yöneticiler tarafından incelenecek.');
+      });
+    }
+  );
+}
+
+// Linki beklemediği halde alan kişi linki bildirebilir. Session başlatmak gerekmez;
+// bildiren kişinin IP adresi saklanmaz, yalnızca aynı kişinin tekrarını önlemek için hash'i tutulur.
+app.post('/api/abuse-reports', (req, res) => {
+  const { trackingId, reason, details } = req.body;
+
+  if (!ABUSE_REPORT_REASONS[reason]) {
+    res.status(400).json({ error: 'Geçersiz bildirim nedeni', code: 'INVALID_REPORT_REASON' });
+    return;
+  }
+  if (details !== undefined && details !== null && (typeof details !== 'string' || details.length > 1000)) {
+    res.status(400).json({ error: 'Açıklama en fazla 1000 karakter olmalı', code: 'INVALID_REPORT_DETAILS' });
+    return;
+  }
+
+  db.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId], (err, link) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json(rows);
+    if (!link) {
+      res.status(404).json({ error: 'Link bulunamadı', code: 'LINK_NOT_FOUND' });
+      return;
+    }
+
+    const reportId = uuidv4();
+    db.run(`INSERT INTO abuse_reports (id, tracking_id, reason, details, reporter_hash) 
+      VALUES (?, ?, ?, ?, ?)`, 
+      [reportId, link.id, reason, details || null, hashToken(`${link.id}:${getClientIp(req)}`)], 
+      (err) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+          res.status(409).json({ error: 'Bu linki zaten bildirdiniz', code: 'ALREADY_REPORTED' });
+          return;
+        }
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        checkAbuseThreshold(link);
+        res.status(201).json({ success: true, reportId, message: 'Bildiriminiz alındı' });
+      }
+    );
   });
 });
 
-// Konum verilerini getir
-app.get('/api/locations/:trackingId', (req, res) => {
-  const trackingId = req.params.trackingId;
-  const { limit = 100, sessionId } = req.query;
-  
-  let query = 'SELECT * FROM location_data WHERE tracking_id = ?';
-  let params = [trackingId];
-  
-  if (sessionId) {
-    query += ' AND session_id = ?';
-    params.push(sessionId);
+// Moderasyon kuyruğu: bildirimler link ve link sahibi bilgisiyle (?status=open|dismissed|actioned|all)
+app.get('/api/abuse-reports', requireAuth, requireAdmin, (req, res) => {
+  const status = req.query.status || 'open';
+
+  let query = `SELECT r.id, r.tracking_id, r.reason, r.details, r.status, r.created_at, r.reviewed_at, 
+      l.name AS link_name, l.requester_name, l.active AS link_active, l.disabled_at, l.disabled_reason, 
+      u.email AS owner_email, 
+      (SELECT COUNT(*) FROM abuse_reports o WHERE o.tracking_id = r.tracking_id AND o.status = 'open') AS open_reports 
+    FROM abuse_reports r 
+    LEFT JOIN tracking_links l ON l.id = r.tracking_id 
+    LEFT JOIN users u ON u.id = l.owner_id`;
+  const params = [];
+
+  if (status !== 'all') {
+    query += ' WHERE r.status = ?';
+    params.push(status);
   }
-  
-  query += ' ORDER BY timestamp DESC LIMIT ?';
-  params.push(parseInt(limit));
-  
+  query += ' ORDER BY r.created_at DESC LIMIT 200';
+
   db.all(query, params, (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
@@ -414,156 +3550,102 @@ app.get('/api/locations/:trackingId', (req, res) => {
   });
 });
 
-// Session'ları getir
-app.get('/api/sessions/:trackingId', (req, res) => {
-  const trackingId = req.params.trackingId;
-  
-  db.all('SELECT * FROM tracking_sessions WHERE tracking_id = ? ORDER BY started_at DESC', 
-    [trackingId], 
-    (err, rows) => {
+// Bildirimi işlem yapmadan kapat
+app.post('/api/abuse-reports/:id/dismiss', requireAuth, requireAdmin, (req, res) => {
+  db.run(`UPDATE abuse_reports SET status = 'dismissed', reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ? 
+    WHERE id = ?`, 
+    [req.user.id, req.params.id], 
+    function(err) {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
-      res.json(rows);
-    }
-  );
-});
-
-// İstatistikleri getir
-app.get('/api/stats/:trackingId', (req, res) => {
-  const trackingId = req.params.trackingId;
-  
-  db.get(`SELECT 
-    COUNT(*) as total_locations,
-    COUNT(DISTINCT session_id) as total_sessions,
-    MAX(timestamp) as last_location,
-    AVG(accuracy) as avg_accuracy
-    FROM location_data WHERE tracking_id = ?`, 
-    [trackingId], 
-    (err, stats) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
+      if (this.changes === 0) {
+        res.status(404).json({ error: 'Bildirim bulunamadı', code: 'REPORT_NOT_FOUND' });
         return;
       }
-      res.json(stats);
+      res.json({ success: true });
     }
   );
 });
 
-// Tracking link sil
-app.delete('/api/links/:id', (req, res) => {
-  const trackingId = req.params.id;
-  
-  // Önce link'in var olup olmadığını kontrol et
-  db.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId], (err, row) => {
+// Yönetici kararıyla linki devre dışı bırak; linkin açık bildirimleri işlem yapıldı olarak kapanır
+// ve link sahibine bildirim bırakılır
+app.post('/api/links/:trackingId/disable', requireAuth, requireAdmin, requireLinkOwner, (req, res) => {
+  const link = req.link;
+
+  disableLink(link.id, 'moderator', (err) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    
-    if (!row) {
-      res.status(404).json({ error: 'Link bulunamadı' });
-      return;
-    }
-    
-    // Link'i deaktif et
-    db.run('UPDATE tracking_links SET active = 0 WHERE id = ?', 
-      [trackingId], 
+
+    db.run(`UPDATE abuse_reports SET status = 'actioned', reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ? 
+      WHERE tracking_id = ? AND status = 'open'`, 
+      [req.user.id, link.id], 
       function(err) {
         if (err) {
           res.status(500).json({ error: err.message });
           return;
         }
-        
-        // İlgili konum verilerini de sil (opsiyonel)
-        db.run('DELETE FROM location_data WHERE tracking_id = ?', [trackingId], (err) => {
-          if (err) {
-            console.error('Konum verileri silinirken hata:', err);
-          }
-          
-          res.json({ 
-            success: true, 
-            message: 'Link başarıyla silindi ve tüm veriler temizlendi',
-            deletedLocations: this.changes
-          });
-        });
+        const reports = this.changes;
+
+        notifyLinkOwner(link, 'Linkiniz yönetici tarafından devre dışı bırakıldı', 
+          req.body.message || `"${link.name}" linki kötüye kullanım bildirimleri incelendikten sonra devre dışı bırakıldı.`);
+        res.json({ success: true, actionedReports: reports });
       }
     );
   });
 });
 
-// QR kod endpoint
-app.get('/api/qr/:trackingId', (req, res) => {
-  const trackingId = req.params.trackingId;
-  const baseUrl = NODE_ENV === 'production' 
-    ? `https://${req.get('host')}` 
-    : `http://localhost:${PORT}`;
-  const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${baseUrl}/track/${trackingId}`;
-  res.json({ qrUrl });
-});
+// Bildirimler yersiz bulunduysa devre dışı bırakılan linki yeniden etkinleştir
+app.post('/api/links/:trackingId/enable', requireAuth, requireAdmin, requireLinkOwner, (req, res) => {
+  const link = req.link;
 
-// Geofencing endpoint
-app.post('/api/geofence', (req, res) => {
-  const { trackingId, latitude, longitude, radius, action } = req.body;
-  
-  db.run('INSERT INTO geofences (tracking_id, latitude, longitude, radius, action) VALUES (?, ?, ?, ?, ?)',
-    [trackingId, latitude, longitude, radius, action],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json({ success: true, message: 'Geofence oluşturuldu' });
-    }
-  );
-});
+  if (!link.disabled_at) {
+    res.status(409).json({ error: 'Link moderasyon nedeniyle devre dışı değil', code: 'LINK_NOT_DISABLED' });
+    return;
+  }
 
-// Alarm sistemi
-app.post('/api/alarm', (req, res) => {
-  const { trackingId, type, message, conditions } = req.body;
-  
-  db.run('INSERT INTO alarms (tracking_id, type, message, conditions) VALUES (?, ?, ?, ?)',
-    [trackingId, type, message, JSON.stringify(conditions)],
-    function(err) {
+  db.run('UPDATE tracking_links SET active = 1, disabled_at = NULL, disabled_reason = NULL WHERE id = ?', 
+    [link.id], 
+    (err) => {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
-      res.json({ success: true, message: 'Alarm oluşturuldu' });
+
+      db.run(`UPDATE abuse_reports SET status = 'dismissed', reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ? 
+        WHERE tracking_id = ? AND status = 'open'`, 
+        [req.user.id, link.id]
+      );
+      notifyLinkOwner(link, 'Linkiniz yeniden etkinleştirildi', 
+        req.body.message || `"${link.name}" linki incelendi ve yeniden etkinleştirildi.`);
+      res.json({ success: true });
     }
   );
 });
 
-// Rota analizi
-app.get('/api/route/:trackingId', (req, res) => {
-  const trackingId = req.params.trackingId;
-  const { startDate, endDate } = req.query;
-  
-  let query = 'SELECT * FROM location_data WHERE tracking_id = ?';
-  let params = [trackingId];
-  
-  if (startDate && endDate) {
-    query += ' AND timestamp BETWEEN ? AND ?';
-    params.push(startDate, endDate);
+// Yöneticiden link sahibine mesaj
+app.post('/api/links/:trackingId/notify-owner', requireAuth, requireAdmin, requireLinkOwner, (req, res) => {
+  const { title, message } = req.body;
+
+  if (!message || typeof message !== 'string') {
+    res.status(400).json({ error: 'Mesaj gerekli', code: 'MESSAGE_REQUIRED' });
+    return;
   }
-  
-  query += ' ORDER BY timestamp ASC';
-  
-  db.all(query, params, (err, rows) => {
+
+  notifyLinkOwner(req.link, title || 'Yönetici mesajı', message, (err) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    
-    // Rota analizi
-    const route = analyzeRoute(rows);
-    res.json(route);
+    res.json({ success: true });
   });
 });
 
 // Bildirim sistemi
-app.post('/api/notifications', (req, res) => {
+app.post('/api/notifications', requireAuth, requireLinkOwner, (req, res) => {
   const { trackingId, type, title, message, recipients } = req.body;
   
   db.run('INSERT INTO notifications (tracking_id, type, title, message, recipients) VALUES (?, ?, ?, ?, ?)',
@@ -581,6 +3663,29 @@ app.post('/api/notifications', (req, res) => {
   );
 });
 
+// Giriş yapan kullanıcının linklerine ait bildirimler (?type=moderation ile yalnızca yönetici bildirimleri)
+app.get('/api/notifications', requireAuth, (req, res) => {
+  let query = `SELECT n.id, n.tracking_id, n.type, n.title, n.message, n.sent_at, l.name AS link_name 
+    FROM notifications n 
+    JOIN tracking_links l ON l.id = n.tracking_id 
+    WHERE l.owner_id = ?`;
+  const params = [req.user.id];
+
+  if (req.query.type) {
+    query += ' AND n.type = ?';
+    params.push(req.query.type);
+  }
+  query += ' ORDER BY n.sent_at DESC LIMIT 50';
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
+
 // Rota analizi fonksiyonu
 function analyzeRoute(locations) {
   if (locations.length < 2) {
@@ -640,7 +3745,7 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 // Mobil uygulama için API endpoint'leri
-app.get('/api/mobile/locations/:trackingId', (req, res) => {
+app.get('/api/mobile/locations/:trackingId', requireAuth, requireLinkOwner, (req, res) => {
   const trackingId = req.params.trackingId;
   const { limit = 50, since } = req.query;
   
@@ -660,73 +3765,25 @@ app.get('/api/mobile/locations/:trackingId', (req, res) => {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json({ locations: rows, count: rows.length });
+    recordLocationAccess(userAccess(req, 'mobile-locations'), countPointsBySession(rows));
+    res.json({ locations: decryptLocationRows(rows), count: rows.length });
   });
 });
 
 // Mobil uygulama için session başlat
-app.post('/api/mobile/start-session', (req, res) => {
-  const { trackingId, deviceInfo } = req.body;
-  const sessionId = uuidv4();
-  
-  db.run('INSERT INTO tracking_sessions (id, tracking_id, device_info) VALUES (?, ?, ?)', 
-    [sessionId, trackingId, JSON.stringify(deviceInfo)], 
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json({ sessionId, status: 'started' });
+app.post('/api/mobile/start-session', tokenLimiter, (req, res) => {
+  createConsentedSession(req, req.body.deviceInfo, (err, result) => {
+    if (err) {
+      res.status(err.status).json({ error: err.message, code: err.code });
+      return;
     }
-  );
+    res.json({ ...result, status: 'started' });
+  });
 });
 
 // Mobil uygulama için konum gönder
-app.post('/api/mobile/location', validateLocationData, (req, res) => {
-  const { 
-    trackingId, 
-    latitude, 
-    longitude, 
-    accuracy, 
-    speed = 0,
-    heading = 0,
-    altitude = 0,
-    batteryLevel,
-    networkType,
-    sessionId 
-  } = req.body;
-  
-  db.run(`INSERT INTO location_data 
-    (tracking_id, latitude, longitude, accuracy, speed, heading, altitude, battery_level, network_type, session_id) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [trackingId, latitude, longitude, accuracy, speed, heading, altitude, batteryLevel, networkType, sessionId],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-
-      // Session güncelle
-      db.run(`UPDATE tracking_sessions 
-        SET last_update = CURRENT_TIMESTAMP, total_locations = total_locations + 1 
-        WHERE id = ?`, [sessionId]);
-
-      // Gerçek zamanlı güncelleme gönder
-      io.to(trackingId).emit('location-update', {
-        latitude,
-        longitude,
-        accuracy,
-        speed,
-        heading,
-        altitude,
-        batteryLevel,
-        networkType,
-        timestamp: new Date().toISOString()
-      });
-
-      res.json({ success: true, message: 'Konum kaydedildi' });
-    }
-  );
+app.post('/api/mobile/location', ingestionLimiter, ingestionSessionLimiter, validateLocationData, ingestionGuard, applyCollectionProfile, (req, res) => {
+  ingestLocations(req, res, 'Konum kaydedildi');
 });
 
 // Mobil uygulama için geofence kontrolü
@@ -760,57 +3817,8 @@ app.post('/api/mobile/check-geofence', (req, res) => {
 });
 
 // Arka plan konum takibi için endpoint
-app.post('/api/background-location', validateLocationData, (req, res) => {
-  const { 
-    trackingId, 
-    latitude, 
-    longitude, 
-    accuracy, 
-    speed = 0,
-    heading = 0,
-    altitude = 0,
-    userAgent, 
-    ipAddress,
-    sessionId 
-  } = req.body;
-  
-  // Session kontrolü
-  if (!sessionId) {
-    res.status(400).json({ error: 'Session ID gerekli' });
-    return;
-  }
-
-  db.run(`INSERT INTO location_data 
-    (tracking_id, latitude, longitude, accuracy, speed, heading, altitude, user_agent, ip_address, session_id) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [trackingId, latitude, longitude, accuracy, speed, heading, altitude, userAgent, ipAddress, sessionId],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-
-      // Session güncelle
-      db.run(`UPDATE tracking_sessions 
-        SET last_update = CURRENT_TIMESTAMP, total_locations = total_locations + 1 
-        WHERE id = ?`, [sessionId]);
-
-      // Gerçek zamanlı güncelleme gönder
-      console.log(`🔍 Background Socket.IO emit: trackingId=${trackingId}, room=${trackingId}`);
-      console.log(`📡 Emitting background location-update to room: ${trackingId}`);
-      io.to(trackingId).emit('location-update', {
-        latitude,
-        longitude,
-        accuracy,
-        speed,
-        heading,
-        altitude,
-        timestamp: new Date().toISOString()
-      });
-
-      res.json({ success: true, message: 'Arka plan konumu kaydedildi' });
-    }
-  );
+app.post('/api/background-location', ingestionLimiter, ingestionSessionLimiter, validateLocationData, ingestionGuard, applyCollectionProfile, (req, res) => {
+  ingestLocations(req, res, 'Arka plan konumu kaydedildi');
 });
 
 // Service Worker için manifest endpoint
@@ -838,8 +3846,261 @@ app.get('/manifest.json', (req, res) => {
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`🚀 Server ${PORT} portunda çalışıyor`);
-  console.log(`📱 Admin paneli: http://localhost:${PORT}`);
-  console.log(`🔗 WebSocket aktif`);
-}); 
\ No newline at end of file
+// Süresi dolan ve terk edilen session'ları her dakika kapat.
+// Duraklatılmış session'lar konum göndermediği için terk edilmiş sayılmaz.
+function sweepSessions() {
+  const now = new Date();
+  const idleSince = new Date(now.getTime() - SESSION_IDLE_TIMEOUT * 60 * 1000);
+
+  db.all(`SELECT id, expires_at FROM tracking_sessions 
+    WHERE is_active = 1 AND (expires_at <= ? OR (last_update <= ? AND paused_at IS NULL))`, 
+    [toSqliteDate(now), toSqliteDate(idleSince)], 
+    (err, sessions) => {
+      if (err) {
+        logger.error('Session temizliği başarısız', { job: 'session-cleanup', error: err });
+        return;
+      }
+      sessions.forEach(session => {
+        const expired = session.expires_at && fromSqliteDate(session.expires_at) <= now;
+        endSession(session.id, expired ? 'expired' : 'abandoned');
+      });
+      if (sessions.length > 0) {
+        logger.info('Session\'lar kapatıldı', { job: 'session-cleanup', count: sessions.length });
+      }
+    }
+  );
+}
+
+// Yeniden onay zamanı gelen session'lara onay iste, cevap süresi dolanları duraklat
+function sweepReconsent() {
+  const now = new Date();
+
+  db.all(`SELECT id, tracking_id, reconsent_due_at, reconsent_requested_at FROM tracking_sessions 
+    WHERE is_active = 1 AND paused_at IS NULL AND reconsent_due_at <= ?`, 
+    [toSqliteDate(now)], 
+    (err, sessions) => {
+      if (err) {
+        logger.error('Yeniden onay kontrolü başarısız', { job: 'reconsent-check', error: err });
+        return;
+      }
+      sessions.forEach(session => {
+        if (isReconsentOverdue(session, now)) {
+          pauseSession(session.id, 'reconsent');
+          return;
+        }
+        if (!session.reconsent_requested_at) {
+          const deadline = new Date(fromSqliteDate(session.reconsent_due_at).getTime() + RECONSENT_GRACE_PERIOD * 60 * 1000);
+          db.run('UPDATE tracking_sessions SET reconsent_requested_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id]);
+          emitToLink(session.tracking_id, 'reconsent-required', {
+            sessionId: session.id,
+            trackingId: session.tracking_id,
+            deadline: deadline.toISOString()
+          });
+        }
+      });
+    }
+  );
+}
+
+// purgeLinkData raporundaki silinen satır sayıları ve purge_reports'taki sütunları
+const PURGE_REPORT_COLUMNS = {
+  locations: 'deleted_locations',
+  consentRecords: 'deleted_consent_records',
+  erasureRequests: 'deleted_erasure_requests',
+  viewerEvents: 'deleted_viewer_events',
+  sessions: 'deleted_sessions',
+  notifications: 'deleted_notifications'
+};
+
+// Bir linkin saklama süresi dolan kayıtlarını sil. Aktif session'lar silinmez,
+// yalnızca eski konumları silinir. Silmeler ve purge_reports kaydı tek transaction
+// içinde yapılır; bir adım başarısız olursa link yarım temizlenmiş kalmaz.
+function purgeLinkData(link, callback) {
+  const retentionDays = getRetentionDays(link);
+  const cutoff = toSqliteDate(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+  const expiredSessions = `SELECT id FROM tracking_sessions 
+    WHERE tracking_id = ? AND is_active = 0 AND COALESCE(ended_at, last_update) < ?`;
+  const steps = [
+    ['locations', 'DELETE FROM location_data WHERE tracking_id = ? AND timestamp < ?'],
+    ['consentRecords', `DELETE FROM consent_records WHERE session_id IN (${expiredSessions})`],
+    ['erasureRequests', `DELETE FROM erasure_requests WHERE session_id IN (${expiredSessions})`],
+    ['viewerEvents', 'DELETE FROM viewer_events WHERE tracking_id = ? AND created_at < ?'],
+    ['sessions', `DELETE FROM tracking_sessions WHERE id IN (${expiredSessions})`],
+    ['notifications', 'DELETE FROM notifications WHERE tracking_id = ? AND sent_at < ?']
+  ];
+  const keys = Object.keys(PURGE_REPORT_COLUMNS);
+  const report = { trackingId: link.id, name: link.name, retentionDays };
+
+  runTransaction((tx, done) => {
+    const runStep = (index) => {
+      if (index === steps.length) {
+        // Hiçbir şey silinmediyse rapor yazılmaz
+        if (!keys.some(key => report[key] > 0)) {
+          done(null, report);
+          return;
+        }
+        tx.run(`INSERT INTO purge_reports 
+          (tracking_id, retention_days, ${keys.map(key => PURGE_REPORT_COLUMNS[key]).join(', ')}) 
+          VALUES (?, ?, ${keys.map(() => '?').join(', ')})`, 
+          [report.trackingId, report.retentionDays, ...keys.map(key => report[key])], 
+          (err) => done(err, report)
+        );
+        return;
+      }
+      const [key, query] = steps[index];
+      tx.run(query, [link.id, cutoff], function(err) {
+        if (err) {
+          done(err);
+          return;
+        }
+        report[key] = this.changes;
+        runStep(index + 1);
+      });
+    };
+    runStep(0);
+  }, callback);
+}
+
+// Tüm linklerde saklama süresi dolan kayıtları sil, link başına raporla ve
+// silinen satırların yerini geri kazanmak için veritabanını VACUUM ile küçült
+function purgeExpiredData(callback = () => {}) {
+  db.all('SELECT id, name, retention_days FROM tracking_links', (err, links) => {
+    if (err) {
+      logger.error('Veri temizliği başarısız', { job: 'purge', error: err });
+      callback(err);
+      return;
+    }
+
+    const reports = [];
+    const purgeNext = (index) => {
+      if (index < links.length) {
+        purgeLinkData(links[index], (err, report) => {
+          if (err) {
+            logger.error('Veri temizliği başarısız', { job: 'purge', trackingId: links[index].id, error: err });
+          } else if (Object.keys(PURGE_REPORT_COLUMNS).some(key => report[key] > 0)) {
+            reports.push(report);
+          }
+          purgeNext(index + 1);
+        });
+        return;
+      }
+
+      // Raporlar link başına transaction içinde yazıldı; VACUUM hepsi bittikten sonra çalışır
+      reports.forEach(report => {
+        const deleted = {};
+        Object.keys(PURGE_REPORT_COLUMNS).forEach(key => {
+          deleted[key] = report[key];
+        });
+        logger.info('Saklama süresi dolan veriler silindi', {
+          job: 'purge',
+          trackingId: report.trackingId,
+          retentionDays: report.retentionDays,
+          ...deleted
+        });
+      });
+
+      if (reports.length === 0) {
+        callback(null, reports);
+        return;
+      }
+      db.run('VACUUM', (err) => {
+        if (err) {
+          logger.error('VACUUM başarısız', { job: 'purge', error: err });
+        }
+        callback(null, reports);
+      });
+    };
+    purgeNext(0);
+  });
+}
+
+// Link başına veri temizliği raporları
+app.get('/api/purge-reports', requireAuth, (req, res) => {
+  const { trackingId } = req.query;
+  let query = `SELECT p.*, l.name AS link_name FROM purge_reports p 
+    LEFT JOIN tracking_links l ON l.id = p.tracking_id 
+    WHERE 1 = 1`;
+  const params = [];
+
+  // Yöneticiler tüm linklerin raporlarını görür
+  if (!req.user.is_admin) {
+    query += ' AND l.owner_id = ?';
+    params.push(req.user.id);
+  }
+  if (trackingId) {
+    query += ' AND p.tracking_id = ?';
+    params.push(trackingId);
+  }
+  query += ' ORDER BY p.purged_at DESC LIMIT 100';
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
+
+// Paylaşan kişinin belirli bir süre için duraklattığı session'ları süre dolunca devam ettir
+function sweepPauses() {
+  db.all(`SELECT id FROM tracking_sessions 
+    WHERE is_active = 1 AND pause_reason = 'sharer' AND pause_until <= ?`, 
+    [toSqliteDate(new Date())], 
+    (err, sessions) => {
+      if (err) {
+        logger.error('Duraklatma kontrolü başarısız', { job: 'pause-check', error: err });
+        return;
+      }
+      sessions.forEach(session => resumeSession(session.id));
+    }
+  );
+}
+
+// Zamanlanmış görevler ve dinleme yalnızca sunucu doğrudan çalıştırıldığında başlar;
+// testler modülü yükleyip kendi portunda dinler
+if (require.main === module) {
+  cron.schedule('* * * * *', () => {
+    sweepSessions();
+    sweepPauses();
+    sweepReconsent();
+  });
+
+  // Saklama süresi dolan veriler, süresi geçmiş yönetim oturumları ve izleme odası
+  // token'ları her gece 03:00'te silinir
+  cron.schedule('0 3 * * *', () => {
+    purgeExpiredData();
+    db.run('DELETE FROM auth_sessions WHERE expires_at <= ?', [toSqliteDate(new Date())]);
+    db.run('DELETE FROM room_tokens WHERE expires_at <= ?', [toSqliteDate(new Date())]);
+  });
+
+  server.listen(PORT, () => {
+    logger.info('Server çalışıyor', { port: PORT, env: NODE_ENV, logLevel: LOG_LEVEL });
+    if (!process.env.LINK_SIGNING_SECRET) {
+      logger.warn('LINK_SIGNING_SECRET tanımlı değil; tracking linkleri sunucu yeniden başlayınca geçersiz olur');
+    }
+    if (!LOCATION_MASTER_KEY) {
+      logger.warn('LOCATION_MASTER_KEY tanımlı değil; konum geçmişi şifrelenmeden saklanıyor');
+    }
+  }); 
+}
+
+module.exports = {
+  app,
+  server,
+  io,
+  db,
+  dbReady,
+  CONSENT_VERSION,
+  runTransaction,
+  transactionConnection,
+  signLinkToken,
+  verifyLinkToken,
+  encryptLocationFields,
+  decryptLocationRows,
+  reencryptLocations,
+  rotateLinkKey,
+  deleteLinkData,
+  eraseSessionData,
+  purgeExpiredData
+};
@@ -0,0 +1,85 @@
+const { loadServer, createSharingFixture, promisify } = require('./helpers');
+
+describe('paylaşan kişinin veri silme talebi', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await loadServer();
+  });
+
+  afterAll(() => server.close());
+
+  // İki konum ve biri link sahibinin, biri paylaşan kişinin olmak üzere iki erişim kaydı ekler
+  const createSessionData = async () => {
+    const fixture = await createSharingFixture(server);
+    const { trackingId, sessionId } = fixture;
+    for (const latitude of [41.1, 41.2]) {
+      await server.run('INSERT INTO location_data (tracking_id, session_id, latitude, longitude, accuracy) VALUES (?, ?, ?, 28, 5)',
+        [trackingId, sessionId, latitude]);
+    }
+    await server.run('UPDATE tracking_sessions SET total_locations = 2 WHERE id = ?', [sessionId]);
+    await server.run(`INSERT INTO access_audit (tracking_id, session_id, actor_type, user_id, actor, action, point_count, ip_address)
+      VALUES (?, ?, 'user', 1, 'sahip@example.com', 'locations', 2, '198.51.100.1'),
+        (?, ?, 'sharer', NULL, NULL, 'export', 2, '203.0.113.7')`,
+    [trackingId, sessionId, trackingId, sessionId]);
+    const locations = await server.all('SELECT id FROM location_data WHERE session_id = ? ORDER BY id', [sessionId]);
+    return { ...fixture, locationIds: locations.map(location => location.id) };
+  };
+
+  test('tüm verileri siler ve kişisel verileri temizler', async () => {
+    const { sessionId } = await createSessionData();
+
+    const erasure = await promisify(server.eraseSessionData, sessionId, null);
+
+    expect(erasure).toMatchObject({
+      sessionId,
+      scope: 'all',
+      deleted: { locations: 2, consentPersonalData: 1, accessLogIpAddresses: 1 }
+    });
+    expect(await server.get('SELECT COUNT(*) AS count FROM location_data WHERE session_id = ?', [sessionId])).toEqual({ count: 0 });
+    expect(await server.get('SELECT ip_address, user_agent, consent_version FROM consent_records WHERE session_id = ?', [sessionId]))
+      .toEqual({ ip_address: null, user_agent: null, consent_version: server.CONSENT_VERSION });
+    expect(await server.get('SELECT device_info, total_locations FROM tracking_sessions WHERE id = ?', [sessionId]))
+      .toEqual({ device_info: null, total_locations: 0 });
+
+    // Link sahibinin IP adresi paylaşan kişinin verisi değildir, korunur
+    const audit = await server.all('SELECT actor_type, ip_address FROM access_audit WHERE session_id = ? ORDER BY id', [sessionId]);
+    expect(audit).toEqual([
+      { actor_type: 'user', ip_address: '198.51.100.1' },
+      { actor_type: 'sharer', ip_address: null }
+    ]);
+
+    const request = await server.get('SELECT scope, deleted_locations FROM erasure_requests WHERE id = ?', [erasure.confirmationId]);
+    expect(request).toEqual({ scope: 'all', deleted_locations: 2 });
+  });
+
+  test('seçilen konumları siler, rıza kayıtlarına dokunmaz', async () => {
+    const { sessionId, locationIds } = await createSessionData();
+
+    const erasure = await promisify(server.eraseSessionData, sessionId, [locationIds[0]]);
+
+    expect(erasure).toMatchObject({ scope: 'selected', deleted: { locations: 1, consentPersonalData: 0, accessLogIpAddresses: 0 } });
+    expect(await server.all('SELECT id FROM location_data WHERE session_id = ?', [sessionId])).toEqual([{ id: locationIds[1] }]);
+    expect(await server.get('SELECT ip_address FROM consent_records WHERE session_id = ?', [sessionId]))
+      .toEqual({ ip_address: '203.0.113.7' });
+    expect(await server.get('SELECT total_locations FROM tracking_sessions WHERE id = ?', [sessionId])).toEqual({ total_locations: 1 });
+  });
+
+  test('bir adım başarısız olursa hiçbir şey silinmez', async () => {
+    const { sessionId } = await createSessionData();
+    await server.run(`CREATE TRIGGER fail_erasure BEFORE INSERT ON erasure_requests
+      BEGIN SELECT RAISE(ABORT, 'test hatası'); END`);
+
+    try {
+      await expect(promisify(server.eraseSessionData, sessionId, null)).rejects.toThrow('test hatası');
+    } finally {
+      await server.run('DROP TRIGGER fail_erasure');
+    }
+
+    expect(await server.get('SELECT COUNT(*) AS count FROM location_data WHERE session_id = ?', [sessionId])).toEqual({ count: 2 });
+    expect(await server.get('SELECT ip_address FROM consent_records WHERE session_id = ?', [sessionId]))
+      .toEqual({ ip_address: '203.0.113.7' });
+    const audit = await server.all("SELECT ip_address FROM access_audit WHERE session_id = ? AND actor_type = 'sharer'", [sessionId]);
+    expect(audit).toEqual([{ ip_address: '203.0.113.7' }]);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sunucuyu geçici bir veritabanıyla, dinlemeden yükler. env, modül yüklenmeden önce
+// process.env'e yazılır (ör. LOCATION_MASTER_KEY). Aynı dosyada farklı ortamla tekrar
+// yüklemek için önce close() çağrılmalı ve jest.resetModules() kullanılmalıdır.
+async function loadServer(env = {}) {
+  const dbPath = env.DB_PATH || path.join(os.tmpdir(), `legachecker-test-${crypto.randomUUID()}.db`);
+  Object.assign(process.env, { NODE_ENV: 'test', LOG_LEVEL: 'error', ...env, DB_PATH: dbPath });
+
+  const server = require('../server');
+  await server.dbReady;
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    server.db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    server.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    server.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  // removeFile false ise veritabanı dosyası sonraki yükleme için bırakılır
+  const close = async ({ removeFile = true } = {}) => {
+    await new Promise(resolve => server.io.close(() => resolve()));
+    await new Promise(resolve => server.db.close(() => resolve()));
+    await new Promise(resolve => server.transactionConnection.close(() => resolve()));
+    if (removeFile) {
+      ['', '-journal'].forEach(suffix => fs.rmSync(dbPath + suffix, { force: true }));
+    }
+  };
+
+  return { ...server, dbPath, run, get, all, close };
+}
+
+// Son argümanı callback(err, result) olan fonksiyonu çağırır ve sonucu Promise olarak döndürür
+const promisify = (fn, ...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// Rızası alınmış, aktif bir session'ı olan link oluşturur
+async function createSharingFixture({ run, CONSENT_VERSION }, overrides = {}) {
+  const trackingId = crypto.randomUUID();
+  const sessionId = crypto.randomUUID();
+  const consentId = crypto.randomUUID();
+
+  await run(`INSERT INTO tracking_links (id, name, owner_id, link_token_expires_at, retention_days, e2e)
+    VALUES (?, ?, ?, datetime('now', '+1 day'), ?, ?)`,
+    [trackingId, 'Test linki', overrides.ownerId || 1, overrides.retentionDays || null, overrides.e2e ? 1 : 0]);
+  await run(`INSERT INTO tracking_sessions (id, tracking_id, is_active, expires_at, device_info, started_at)
+    VALUES (?, ?, 1, datetime('now', '+1 hour'), ?, datetime('now', '-1 minute'))`,
+    [sessionId, trackingId, 'test-cihazı']);
+  await run(`INSERT INTO consent_records (id, tracking_id, session_id, consent_version, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, '203.0.113.7', 'test-tarayıcı')`,
+    [consentId, trackingId, sessionId, CONSENT_VERSION]);
+
+  return { trackingId, sessionId, consentId };
+}
+
+module.exports = { loadServer, createSharingFixture, promisify };
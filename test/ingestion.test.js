@@ -0,0 +1,197 @@
+const { loadServer, createSharingFixture } = require('./helpers');
+const {
+  MAX_LOCATION_BATCH,
+  validateLocationPoint,
+  validateLocationData,
+  createLocationIngestor
+} = require('../lib/ingestion');
+
+describe('validateLocationPoint', () => {
+  test('geçerli konumu boş alanlar null olacak şekilde döndürür', () => {
+    const { location, error } = validateLocationPoint({ latitude: 41.01, longitude: 28.97, accuracy: 12, clientTimestamp: 1700000000000 });
+    expect(error).toBeUndefined();
+    expect(location).toMatchObject({ latitude: 41.01, longitude: 28.97, accuracy: 12, speed: null, ciphertext: null });
+    expect(location.recordedAt).toEqual(new Date(1700000000000));
+  });
+
+  test('eksik veya aralık dışı alanı reddeder', () => {
+    expect(validateLocationPoint({ latitude: 41, longitude: 28 }).error)
+      .toEqual({ code: 'INVALID_LOCATION', message: 'Eksik konum verisi: accuracy', field: 'accuracy' });
+    expect(validateLocationPoint({ latitude: 91, longitude: 28, accuracy: 5 }).error.field).toBe('latitude');
+    expect(validateLocationPoint({ latitude: '41', longitude: 28, accuracy: 5 }).error.field).toBe('latitude');
+    expect(validateLocationPoint([]).error.code).toBe('INVALID_LOCATION');
+  });
+
+  test('geçersiz veya ileri tarihli istemci zamanını reddeder', () => {
+    const point = { latitude: 41, longitude: 28, accuracy: 5 };
+    expect(validateLocationPoint({ ...point, clientTimestamp: 'dün' }).error.code).toBe('INVALID_TIMESTAMP');
+    expect(validateLocationPoint({ ...point, clientTimestamp: Date.now() + 60 * 60 * 1000 }).error.code).toBe('INVALID_TIMESTAMP');
+  });
+
+  test('requireTimestamp ile istemci zamanı zorunludur', () => {
+    const point = { latitude: 41, longitude: 28, accuracy: 5 };
+    expect(validateLocationPoint(point).location.recordedAt).toBeNull();
+    expect(validateLocationPoint(point, { requireTimestamp: true }).error)
+      .toMatchObject({ code: 'INVALID_TIMESTAMP', field: 'clientTimestamp' });
+  });
+
+  test('şifreli konumda açık koordinat kabul etmez', () => {
+    expect(validateLocationPoint({ ciphertext: 'abc_-123', latitude: 41 }).error.field).toBe('latitude');
+    expect(validateLocationPoint({ ciphertext: 'abc+/=' }).error.field).toBe('ciphertext');
+    const { location } = validateLocationPoint({ ciphertext: 'abc_-123', batteryLevel: 80 });
+    expect(location).toMatchObject({ ciphertext: 'abc_-123', latitude: null, batteryLevel: 80 });
+  });
+});
+
+describe('validateLocationData', () => {
+  const callMiddleware = (body) => {
+    const req = { body };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        this.body = payload;
+        return this;
+      }
+    };
+    const next = jest.fn();
+    validateLocationData(req, res, next);
+    return { req, res, next };
+  };
+
+  test('toplu gönderimde geçersiz konumları rejected listesine yazar', () => {
+    const { req, next } = callMiddleware({
+      locations: [{ latitude: 41, longitude: 28, accuracy: 5, clientTimestamp: Date.now() }, { latitude: 41 }]
+    });
+    expect(next).toHaveBeenCalled();
+    expect(req.locationBatch.locations).toHaveLength(1);
+    expect(req.locationBatch.rejected).toEqual([
+      { index: 1, code: 'INVALID_LOCATION', error: 'Eksik konum verisi: longitude', field: 'longitude' }
+    ]);
+  });
+
+  test('boş veya çok büyük grubu reddeder', () => {
+    expect(callMiddleware({ locations: [] }).res.body.code).toBe('INVALID_BATCH');
+    const tooMany = Array.from({ length: MAX_LOCATION_BATCH + 1 }, () => ({ latitude: 41, longitude: 28, accuracy: 5 }));
+    const { res, next } = callMiddleware({ locations: tooMany });
+    expect(res.statusCode).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('konum kaydı', () => {
+  let server;
+  let baseUrl;
+  let fixture;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    await new Promise(resolve => server.server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    fixture = await createSharingFixture(server);
+  });
+
+  const post = async (path, body) => {
+    const response = await fetch(baseUrl + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trackingId: fixture.trackingId, sessionId: fixture.sessionId, ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const countLocations = async () => {
+    const row = await server.get('SELECT COUNT(*) AS count FROM location_data WHERE session_id = ?', [fixture.sessionId]);
+    return row.count;
+  };
+
+  test('aynı istemci zamanlı konumu bir kez kaydeder', async () => {
+    const point = { latitude: 41, longitude: 28, accuracy: 5, clientTimestamp: Date.now() };
+
+    expect((await post('/api/save-location', point)).body).toMatchObject({ success: true, duplicate: false });
+    expect((await post('/api/mobile/location', point)).body).toMatchObject({ success: true, duplicate: true });
+    expect(await countLocations()).toBe(1);
+
+    const session = await server.get('SELECT total_locations FROM tracking_sessions WHERE id = ?', [fixture.sessionId]);
+    expect(session.total_locations).toBe(1);
+  });
+
+  test('toplu gönderimde tekrarları ve geçersizleri ayırır', async () => {
+    const now = Date.now();
+    await post('/api/save-location', { latitude: 41, longitude: 28, accuracy: 5, clientTimestamp: now });
+
+    const { status, body } = await post('/api/background-location', {
+      locations: [
+        { latitude: 41, longitude: 28, accuracy: 5, clientTimestamp: now },
+        { latitude: 41.1, longitude: 28, accuracy: 5, clientTimestamp: now + 1000 },
+        { latitude: 41.1, longitude: 28, accuracy: 5, clientTimestamp: now + 1000 },
+        { latitude: 41.2 },
+        { latitude: 41.3, longitude: 28, accuracy: 5 }
+      ]
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ accepted: 1, duplicates: 2 });
+    expect(body.rejected.map(rejection => rejection.index)).toEqual([3, 4]);
+    expect(body.rejected[1]).toMatchObject({ code: 'INVALID_TIMESTAMP', field: 'clientTimestamp' });
+    expect(await countLocations()).toBe(2);
+  });
+
+  test('session sayacı yazılamazsa konumlar geri alınır', async () => {
+    await server.run(`CREATE TRIGGER fail_session_update BEFORE UPDATE OF total_locations ON tracking_sessions
+      BEGIN SELECT RAISE(ABORT, 'test hatası'); END`);
+    try {
+      const { status } = await post('/api/save-location', { latitude: 41, longitude: 28, accuracy: 5, clientTimestamp: Date.now() });
+      expect(status).toBe(500);
+      expect(await countLocations()).toBe(0);
+    } finally {
+      await server.run('DROP TRIGGER fail_session_update');
+    }
+  });
+
+  test('doğrulamadan sonra silinen session için konum yazılmaz', async () => {
+    const session = await server.get(`SELECT s.*, 1 AS link_key_version, 0 AS link_e2e
+      FROM tracking_sessions s WHERE s.id = ?`, [fixture.sessionId]);
+    const onLocationsSaved = jest.fn();
+    // Kayıt transaction'ı başlamadan session silinir (ör. eşzamanlı kalıcı silme)
+    const ingestLocations = createLocationIngestor({
+      db: server.db,
+      runTransaction: (work, callback) => {
+        server.run('DELETE FROM tracking_sessions WHERE id = ?', [fixture.sessionId])
+          .then(() => server.runTransaction(work, callback));
+      },
+      encryptLocationFields: server.encryptLocationFields,
+      toSqliteDate: date => date.toISOString().replace('T', ' ').substring(0, 19),
+      fromSqliteDate: value => new Date(value.replace(' ', 'T') + 'Z'),
+      onLocationsSaved
+    });
+
+    const { location } = validateLocationPoint({ latitude: 41, longitude: 28, accuracy: 5, clientTimestamp: Date.now() });
+    const response = await new Promise(resolve => {
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          resolve({ status: this.statusCode, body });
+        }
+      };
+      ingestLocations({
+        trackingSession: session,
+        consent: { id: fixture.consentId },
+        locationBatch: { isBatch: false, locations: [{ index: 0, ...location }], rejected: [] }
+      }, res, 'Konum kaydedildi');
+    });
+
+    expect(response).toEqual({ status: 404, body: { error: 'Session bulunamadı', code: 'SESSION_NOT_FOUND' } });
+    expect(onLocationsSaved).not.toHaveBeenCalled();
+    expect(await countLocations()).toBe(0);
+  });
+});
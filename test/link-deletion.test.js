@@ -0,0 +1,153 @@
+const { loadServer, createSharingFixture, promisify } = require('./helpers');
+
+describe('kalıcı link silme', () => {
+  let server;
+  const owner = { id: 1, email: 'sahip@example.com' };
+
+  beforeAll(async () => {
+    server = await loadServer();
+  });
+
+  afterAll(() => server.close());
+
+  // Linke bağlı tablolardan birer satır ve iki erişim kaydı (biri paylaşan kişinin) ekler
+  const createLinkData = async () => {
+    const fixture = await createSharingFixture(server);
+    const { trackingId, sessionId } = fixture;
+    await server.run('INSERT INTO location_data (tracking_id, session_id, latitude, longitude, accuracy) VALUES (?, ?, 41, 28, 5)',
+      [trackingId, sessionId]);
+    await server.run('INSERT INTO geofences (tracking_id, latitude, longitude, radius) VALUES (?, 41, 28, 100)', [trackingId]);
+    await server.run("INSERT INTO viewer_events (tracking_id, socket_id, event) VALUES (?, 'soket-1', 'join')", [trackingId]);
+    await server.run("INSERT INTO erasure_requests (id, session_id, scope, deleted_locations) VALUES (?, ?, 'selected', 0)",
+      [`silme-${sessionId}`, sessionId]);
+    await server.run(`INSERT INTO access_audit (tracking_id, session_id, actor_type, user_id, actor, action, point_count, ip_address)
+      VALUES (?, ?, 'user', 1, 'sahip@example.com', 'locations', 1, '198.51.100.1'),
+        (?, ?, 'sharer', NULL, NULL, 'export', 1, '203.0.113.7')`,
+    [trackingId, sessionId, trackingId, sessionId]);
+    await server.run(`INSERT INTO abuse_reports (id, tracking_id, reason, details, reporter_hash, status)
+      VALUES (?, ?, 'stalking', 'Beni izliyor, adım Ayşe', 'bildiren-özeti', 'dismissed')`, [`bildirim-${trackingId}`, trackingId]);
+    await server.run(`INSERT INTO room_join_audit (tracking_id, user_id, room_token_id, socket_id, ip_address, granted, reason)
+      VALUES (?, 1, 'oda-token', 'soket-1', '198.51.100.1', 1, NULL)`, [trackingId]);
+    return fixture;
+  };
+  const countRows = async (trackingId, sessionId) => {
+    const counts = {};
+    for (const [table, column, value] of [
+      ['tracking_links', 'id', trackingId],
+      ['tracking_sessions', 'tracking_id', trackingId],
+      ['location_data', 'tracking_id', trackingId],
+      ['consent_records', 'tracking_id', trackingId],
+      ['geofences', 'tracking_id', trackingId],
+      ['viewer_events', 'tracking_id', trackingId],
+      ['erasure_requests', 'session_id', sessionId]
+    ]) {
+      counts[table] = (await server.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`, [value])).count;
+    }
+    return counts;
+  };
+
+  test('linke bağlı tüm kayıtları siler ve rapor yazar', async () => {
+    const { trackingId, sessionId } = await createLinkData();
+    const link = await server.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId]);
+
+    const report = await promisify(server.deleteLinkData, link, owner);
+
+    expect(await countRows(trackingId, sessionId)).toEqual({
+      tracking_links: 0, tracking_sessions: 0, location_data: 0, consent_records: 0,
+      geofences: 0, viewer_events: 0, erasure_requests: 0
+    });
+    expect(report.deleted).toMatchObject({
+      tracking_links: 1, tracking_sessions: 1, location_data: 1, consent_records: 1,
+      geofences: 1, viewer_events: 1, erasure_requests: 1
+    });
+    const stored = await server.get('SELECT * FROM deletion_reports WHERE id = ?', [report.confirmationId]);
+    expect(JSON.parse(stored.report)).toEqual(report);
+  });
+
+  test('erişim kayıtları korunur ama IP adresi ve session boşaltılır', async () => {
+    const { trackingId } = await createLinkData();
+    const link = await server.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId]);
+
+    const report = await promisify(server.deleteLinkData, link, owner);
+
+    const entries = await server.all('SELECT actor_type, actor, action, session_id, ip_address FROM access_audit WHERE tracking_id = ? ORDER BY id',
+      [trackingId]);
+    expect(entries).toEqual([
+      { actor_type: 'user', actor: 'sahip@example.com', action: 'locations', session_id: null, ip_address: null },
+      { actor_type: 'sharer', actor: null, action: 'export', session_id: null, ip_address: null },
+      { actor_type: 'user', actor: 'sahip@example.com', action: 'link-deleted', session_id: null, ip_address: null }
+    ]);
+    expect(report.retained.access_audit).toMatchObject({ count: 3, anonymized: ['ip_address', 'session_id'] });
+    expect(report.retained.access_audit.fields).not.toContain('ip_address');
+  });
+
+  test('kötüye kullanım bildirimleri ve odaya katılma kayıtları korunur, kişisel veri boşaltılır', async () => {
+    const { trackingId } = await createLinkData();
+    const link = await server.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId]);
+
+    const report = await promisify(server.deleteLinkData, link, owner);
+
+    expect(await server.all('SELECT reason, details, reporter_hash, status FROM abuse_reports WHERE tracking_id = ?', [trackingId]))
+      .toEqual([{ reason: 'stalking', details: null, reporter_hash: null, status: 'dismissed' }]);
+    expect(await server.all(`SELECT user_id, room_token_id, socket_id, ip_address, granted FROM room_join_audit
+      WHERE tracking_id = ?`, [trackingId]))
+      .toEqual([{ user_id: 1, room_token_id: null, socket_id: null, ip_address: null, granted: 1 }]);
+    expect(report.retained.abuse_reports).toMatchObject({ count: 1, anonymized: ['details', 'reporter_hash'] });
+    expect(report.retained.room_join_audit).toMatchObject({ count: 1, anonymized: ['room_token_id', 'socket_id', 'ip_address'] });
+    expect(report.deleted).not.toHaveProperty('abuse_reports');
+  });
+
+  test('bir adım başarısız olursa hiçbir şey silinmez', async () => {
+    const { trackingId, sessionId } = await createLinkData();
+    const link = await server.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId]);
+    const before = await countRows(trackingId, sessionId);
+    await server.run(`CREATE TRIGGER fail_link_delete BEFORE DELETE ON tracking_links
+      BEGIN SELECT RAISE(ABORT, 'test hatası'); END`);
+
+    try {
+      await expect(promisify(server.deleteLinkData, link, owner)).rejects.toThrow('test hatası');
+    } finally {
+      await server.run('DROP TRIGGER fail_link_delete');
+    }
+
+    expect(await countRows(trackingId, sessionId)).toEqual(before);
+    const audit = await server.all('SELECT ip_address FROM access_audit WHERE tracking_id = ? ORDER BY id', [trackingId]);
+    expect(audit.map(entry => entry.ip_address)).toEqual(['198.51.100.1', '203.0.113.7']);
+    expect(await server.get('SELECT details FROM abuse_reports WHERE tracking_id = ?', [trackingId]))
+      .toEqual({ details: 'Beni izliyor, adım Ayşe' });
+    expect(await server.get('SELECT COUNT(*) AS count FROM deletion_reports WHERE tracking_id = ?', [trackingId]))
+      .toEqual({ count: 0 });
+  });
+
+  test('geri alma, silme sırasında başka isteklerin yazdıklarını etkilemez', async () => {
+    const { trackingId } = await createLinkData();
+    const other = await createSharingFixture(server);
+    const link = await server.get('SELECT * FROM tracking_links WHERE id = ?', [trackingId]);
+    await server.run(`CREATE TRIGGER fail_link_delete BEFORE DELETE ON tracking_links
+      BEGIN SELECT RAISE(ABORT, 'test hatası'); END`);
+
+    try {
+      const deletion = promisify(server.deleteLinkData, link, owner);
+      const concurrentWrite = server.run("INSERT INTO viewer_events (tracking_id, socket_id, event) VALUES (?, 'soket-2', 'join')",
+        [other.trackingId]);
+      await expect(deletion).rejects.toThrow('test hatası');
+      await concurrentWrite;
+    } finally {
+      await server.run('DROP TRIGGER fail_link_delete');
+    }
+
+    expect(await server.get("SELECT COUNT(*) AS count FROM viewer_events WHERE socket_id = 'soket-2'")).toEqual({ count: 1 });
+  });
+
+  test('erişim kayıtları silinemez ve yalnızca kişisel veri boşaltılabilir', async () => {
+    const { trackingId } = await createLinkData();
+
+    await expect(server.run('DELETE FROM access_audit WHERE tracking_id = ?', [trackingId])).rejects.toThrow('yalnızca eklenebilir');
+    await expect(server.run("UPDATE access_audit SET action = 'değişti' WHERE tracking_id = ?", [trackingId]))
+      .rejects.toThrow('yalnızca eklenebilir');
+    await expect(server.run("UPDATE access_audit SET ip_address = '192.0.2.1' WHERE tracking_id = ?", [trackingId]))
+      .rejects.toThrow('yalnızca eklenebilir');
+    await expect(server.run('UPDATE access_audit SET ip_address = NULL WHERE tracking_id = ?', [trackingId]))
+      .resolves.toEqual(expect.objectContaining({ changes: 2 }));
+  });
+});
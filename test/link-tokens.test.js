@@ -0,0 +1,56 @@
+const { loadServer } = require('./helpers');
+
+describe('link token', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await loadServer({ LINK_SIGNING_SECRET: 'test-imza-anahtari' });
+  });
+
+  afterAll(() => server.close());
+
+  const createLink = (overrides = {}) => ({
+    id: 'b7a3c2e0-0000-4000-8000-000000000001',
+    link_token_version: 1,
+    link_token_expires_at: '2999-01-01 00:00:00',
+    link_token_revoked_at: null,
+    ...overrides
+  });
+
+  test('imzalanan token doğrulanır', () => {
+    const link = createLink();
+    const token = server.signLinkToken(link);
+    expect(token).toMatch(/^1\.\d+\.[A-Za-z0-9_-]+$/);
+    expect(server.verifyLinkToken(link, token)).toBeNull();
+  });
+
+  test('değiştirilmiş veya başka linke ait token reddedilir', () => {
+    const link = createLink();
+    const token = server.signLinkToken(link);
+    const tampered = token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A');
+    const otherLink = createLink({ id: 'b7a3c2e0-0000-4000-8000-000000000002' });
+
+    expect(server.verifyLinkToken(link, tampered).code).toBe('INVALID_LINK_TOKEN');
+    expect(server.verifyLinkToken(otherLink, token).code).toBe('INVALID_LINK_TOKEN');
+    expect(server.verifyLinkToken(link, undefined).code).toBe('INVALID_LINK_TOKEN');
+  });
+
+  test('sürüm artınca eski token geçersiz olur', () => {
+    const link = createLink();
+    const oldToken = server.signLinkToken(link);
+    const renewed = createLink({ link_token_version: 2 });
+
+    expect(server.verifyLinkToken(renewed, oldToken)).toEqual({
+      status: 403, code: 'INVALID_LINK_TOKEN', message: 'Bu link geçersiz veya yenilenmiş'
+    });
+    expect(server.verifyLinkToken(renewed, server.signLinkToken(renewed))).toBeNull();
+  });
+
+  test('süresi dolan veya iptal edilen token reddedilir', () => {
+    const expired = createLink({ link_token_expires_at: '2000-01-01 00:00:00' });
+    expect(server.verifyLinkToken(expired, server.signLinkToken(expired)).code).toBe('LINK_TOKEN_EXPIRED');
+
+    const revoked = createLink({ link_token_revoked_at: '2024-01-01 00:00:00' });
+    expect(server.verifyLinkToken(revoked, server.signLinkToken(revoked))).toMatchObject({ status: 410, code: 'LINK_TOKEN_REVOKED' });
+  });
+});
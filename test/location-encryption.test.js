@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { loadServer, createSharingFixture, promisify } = require('./helpers');
+
+const OLD_MASTER_KEY = 'eski-ana-anahtar-0123456789abcdef';
+const NEW_MASTER_KEY = 'yeni-ana-anahtar-0123456789abcdef';
+const masterKeyId = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+describe('konum şifrelemesi', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    server = await loadServer({ LOCATION_MASTER_KEY: OLD_MASTER_KEY, LOCATION_PREVIOUS_MASTER_KEYS: '' });
+  });
+
+  afterEach(() => server && server.close());
+
+  const insertLocation = async ({ trackingId, sessionId }, keyVersion, latitude) => {
+    const encrypted = server.encryptLocationFields(trackingId, keyVersion, {
+      latitude, longitude: 28.97, ip_address: '203.0.113.7', user_agent: 'test-tarayıcı'
+    });
+    await server.run(`INSERT INTO location_data (tracking_id, session_id, latitude, longitude, ip_address, user_agent, key_id, accuracy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 5)`,
+      [trackingId, sessionId, encrypted.latitude, encrypted.longitude, encrypted.ip_address, encrypted.user_agent, encrypted.key_id]);
+  };
+  const readLocations = async (trackingId) => server.decryptLocationRows(
+    await server.all('SELECT * FROM location_data WHERE tracking_id = ? ORDER BY id', [trackingId])
+  );
+
+  test('alanlar link anahtarıyla şifrelenir ve çözülür', () => {
+    const trackingId = crypto.randomUUID();
+    const encrypted = server.encryptLocationFields(trackingId, 1, {
+      latitude: 41.0082, longitude: 28.9784, ip_address: '203.0.113.7', user_agent: null
+    });
+
+    expect(encrypted.key_id).toBe(`${masterKeyId(OLD_MASTER_KEY)}.1`);
+    expect(encrypted.latitude).not.toContain('41.0082');
+    expect(encrypted.user_agent).toBeNull();
+
+    const [row] = server.decryptLocationRows([{ id: 1, tracking_id: trackingId, ...encrypted }]);
+    expect(row).toEqual({ id: 1, tracking_id: trackingId, latitude: 41.0082, longitude: 28.9784, ip_address: '203.0.113.7', user_agent: null });
+  });
+
+  test('başka sütuna veya linke taşınan şifreli değer çözülmez', () => {
+    const trackingId = crypto.randomUUID();
+    const encrypted = server.encryptLocationFields(trackingId, 1, { latitude: 41, longitude: 28 });
+
+    const [swapped] = server.decryptLocationRows([{ ...encrypted, tracking_id: trackingId, latitude: encrypted.longitude }]);
+    expect(swapped.latitude).toBeNull();
+    expect(swapped.longitude).toBe(28);
+
+    const [otherLink] = server.decryptLocationRows([{ ...encrypted, tracking_id: crypto.randomUUID() }]);
+    expect(otherLink.latitude).toBeNull();
+  });
+
+  test('link anahtarı yenilenince konumlar yeni sürümle şifrelenir', async () => {
+    const fixture = await createSharingFixture(server);
+    await insertLocation(fixture, 1, 41.1);
+    await insertLocation(fixture, 1, 41.2);
+
+    const result = await promisify(server.rotateLinkKey, fixture.trackingId);
+
+    expect(result).toEqual({ keyVersion: 2, reencrypted: 2, skipped: 0 });
+    const link = await server.get('SELECT encryption_key_version FROM tracking_links WHERE id = ?', [fixture.trackingId]);
+    expect(link.encryption_key_version).toBe(2);
+    const keyIds = await server.all('SELECT DISTINCT key_id FROM location_data WHERE tracking_id = ?', [fixture.trackingId]);
+    expect(keyIds).toEqual([{ key_id: `${masterKeyId(OLD_MASTER_KEY)}.2` }]);
+    expect((await readLocations(fixture.trackingId)).map(row => row.latitude)).toEqual([41.1, 41.2]);
+  });
+
+  test('yeniden şifreleme başarısız olursa anahtar sürümü değişmez', async () => {
+    const fixture = await createSharingFixture(server);
+    await insertLocation(fixture, 1, 41.1);
+    await insertLocation(fixture, 1, 41.2);
+    const lastRow = await server.get('SELECT MAX(id) AS id FROM location_data');
+    await server.run(`CREATE TRIGGER fail_reencrypt BEFORE UPDATE OF key_id ON location_data WHEN NEW.id = ${lastRow.id}
+      BEGIN SELECT RAISE(ABORT, 'test hatası'); END`);
+
+    await expect(promisify(server.rotateLinkKey, fixture.trackingId)).rejects.toThrow('test hatası');
+
+    const link = await server.get('SELECT encryption_key_version FROM tracking_links WHERE id = ?', [fixture.trackingId]);
+    expect(link.encryption_key_version).toBe(1);
+    const keyIds = await server.all('SELECT DISTINCT key_id FROM location_data WHERE tracking_id = ?', [fixture.trackingId]);
+    expect(keyIds).toEqual([{ key_id: `${masterKeyId(OLD_MASTER_KEY)}.1` }]);
+    expect((await readLocations(fixture.trackingId)).map(row => row.latitude)).toEqual([41.1, 41.2]);
+  });
+
+  test('ana anahtar değişince eski anahtarla şifrelenmiş satırlar taşınır', async () => {
+    const fixture = await createSharingFixture(server);
+    await insertLocation(fixture, 1, 41.1);
+    const dbPath = server.dbPath;
+    await server.close({ removeFile: false });
+
+    jest.resetModules();
+    server = await loadServer({ DB_PATH: dbPath, LOCATION_MASTER_KEY: NEW_MASTER_KEY, LOCATION_PREVIOUS_MASTER_KEYS: OLD_MASTER_KEY });
+    // Açılıştaki taşıma da çalışır; tekrar çağrı kalan satırları işler
+    await promisify(server.reencryptLocations, null);
+
+    const row = await server.get('SELECT key_id FROM location_data WHERE tracking_id = ?', [fixture.trackingId]);
+    expect(row.key_id).toBe(`${masterKeyId(NEW_MASTER_KEY)}.1`);
+    expect((await readLocations(fixture.trackingId))[0]).toMatchObject({ latitude: 41.1, ip_address: '203.0.113.7' });
+  });
+
+  test('anahtarı bilinmeyen satırlar atlanır ve korunur', async () => {
+    const fixture = await createSharingFixture(server);
+    await insertLocation(fixture, 1, 41.1);
+    const dbPath = server.dbPath;
+    await server.close({ removeFile: false });
+
+    jest.resetModules();
+    server = await loadServer({ DB_PATH: dbPath, LOCATION_MASTER_KEY: NEW_MASTER_KEY, LOCATION_PREVIOUS_MASTER_KEYS: '' });
+
+    const result = await promisify(server.reencryptLocations, null);
+
+    expect(result).toEqual({ reencrypted: 0, skipped: 1 });
+    const row = await server.get('SELECT key_id, latitude FROM location_data WHERE tracking_id = ?', [fixture.trackingId]);
+    expect(row.key_id).toBe(`${masterKeyId(OLD_MASTER_KEY)}.1`);
+    expect(row.latitude).not.toBeNull();
+  });
+});
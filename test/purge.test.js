@@ -0,0 +1,90 @@
+const { loadServer, createSharingFixture, promisify } = require('./helpers');
+
+describe('saklama süresi dolan verilerin temizliği', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await loadServer();
+  });
+
+  afterAll(() => server.close());
+
+  test('her tablodan silinenleri raporlar ve silme taleplerini temizler', async () => {
+    const expired = await createSharingFixture(server, { retentionDays: 7 });
+    const active = await createSharingFixture(server, { retentionDays: 7 });
+    await server.run(`UPDATE tracking_sessions SET is_active = 0, ended_at = datetime('now', '-10 days'),
+      last_update = datetime('now', '-10 days') WHERE id = ?`, [expired.sessionId]);
+    await server.run(`INSERT INTO location_data (tracking_id, session_id, latitude, longitude, accuracy, timestamp)
+      VALUES (?, ?, 41, 28, 5, datetime('now', '-10 days')), (?, ?, 41, 28, 5, CURRENT_TIMESTAMP)`,
+    [expired.trackingId, expired.sessionId, active.trackingId, active.sessionId]);
+    await server.run(`INSERT INTO viewer_events (tracking_id, socket_id, event, created_at)
+      VALUES (?, 'soket-1', 'join', datetime('now', '-10 days'))`, [expired.trackingId]);
+    await server.run("INSERT INTO erasure_requests (id, session_id, scope, deleted_locations) VALUES (?, ?, 'selected', 1)",
+      [`silme-${expired.sessionId}`, expired.sessionId]);
+
+    const reports = await promisify(server.purgeExpiredData);
+
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toMatchObject({
+      trackingId: expired.trackingId,
+      locations: 1,
+      consentRecords: 1,
+      erasureRequests: 1,
+      viewerEvents: 1,
+      sessions: 1,
+      notifications: 0
+    });
+    expect(await server.get('SELECT COUNT(*) AS count FROM erasure_requests WHERE session_id = ?', [expired.sessionId]))
+      .toEqual({ count: 0 });
+    expect(await server.get('SELECT COUNT(*) AS count FROM location_data WHERE session_id = ?', [active.sessionId]))
+      .toEqual({ count: 1 });
+
+    const stored = await server.get(`SELECT deleted_locations, deleted_consent_records, deleted_erasure_requests,
+      deleted_viewer_events, deleted_sessions, deleted_notifications FROM purge_reports WHERE tracking_id = ?`,
+    [expired.trackingId]);
+    expect(stored).toEqual({
+      deleted_locations: 1,
+      deleted_consent_records: 1,
+      deleted_erasure_requests: 1,
+      deleted_viewer_events: 1,
+      deleted_sessions: 1,
+      deleted_notifications: 0
+    });
+  });
+
+  test('yalnızca izleme kaydı silinen link de raporlanır', async () => {
+    const fixture = await createSharingFixture(server, { retentionDays: 7 });
+    await server.run(`INSERT INTO viewer_events (tracking_id, socket_id, event, created_at)
+      VALUES (?, 'soket-2', 'join', datetime('now', '-10 days'))`, [fixture.trackingId]);
+
+    const reports = await promisify(server.purgeExpiredData);
+
+    expect(reports.map(report => report.trackingId)).toEqual([fixture.trackingId]);
+    expect(reports[0]).toMatchObject({ viewerEvents: 1, locations: 0, sessions: 0 });
+  });
+
+  test('bir adım başarısız olursa link yarım temizlenmez ve rapor yazılmaz', async () => {
+    const fixture = await createSharingFixture(server, { retentionDays: 7 });
+    await server.run(`UPDATE tracking_sessions SET is_active = 0, ended_at = datetime('now', '-10 days'),
+      last_update = datetime('now', '-10 days') WHERE id = ?`, [fixture.sessionId]);
+    await server.run(`INSERT INTO location_data (tracking_id, session_id, latitude, longitude, accuracy, timestamp)
+      VALUES (?, ?, 41, 28, 5, datetime('now', '-10 days'))`, [fixture.trackingId, fixture.sessionId]);
+    await server.run(`CREATE TRIGGER fail_purge BEFORE DELETE ON tracking_sessions
+      BEGIN SELECT RAISE(ABORT, 'test hatası'); END`);
+
+    let reports;
+    try {
+      reports = await promisify(server.purgeExpiredData);
+    } finally {
+      await server.run('DROP TRIGGER fail_purge');
+    }
+
+    expect(reports.map(report => report.trackingId)).not.toContain(fixture.trackingId);
+    expect(await server.get('SELECT COUNT(*) AS count FROM location_data WHERE session_id = ?', [fixture.sessionId]))
+      .toEqual({ count: 1 });
+    expect(await server.get('SELECT COUNT(*) AS count FROM consent_records WHERE session_id = ?', [fixture.sessionId]))
+      .toEqual({ count: 1 });
+    expect(await server.get('SELECT COUNT(*) AS count FROM purge_reports WHERE tracking_id = ?', [fixture.trackingId]))
+      .toEqual({ count: 0 });
+  });
+});